@@ -16878,6 +16878,22 @@ window.QUESTION_DATA = {
           "prompt": "Identify two factors that contributed to Argentina\u2019s hyperinflation in 2023.",
           "answer": "Contributing factors include persistent fiscal deficits financed by money creation and sharp devaluations of the peso that increased import prices."
         },
+        {
+          "type": "numeric",
+          "prompt": "Calculate the percentage change in the exchange rate (pesos per US dollar) between 2022 and 2023.",
+          "calculation": "percentChange",
+          "cells": [
+            {
+              "column": "ExchangeRate",
+              "row": 2022
+            },
+            {
+              "column": "ExchangeRate",
+              "row": 2023
+            }
+          ],
+          "marks": 2
+        },
         {
           "prompt": "Suggest one monetary or fiscal policy the Argentine government could implement to restore price stability and discuss a potential drawback.",
           "answer": "A tighter monetary policy through higher interest rates could curb inflation but may also suppress investment and output, deepening the recession."
@@ -16917,6 +16933,23 @@ window.QUESTION_DATA = {
           "prompt": "Describe one benefit and one cost of a depreciating currency for Turkey\u2019s economy.",
           "answer": "A weaker lira can boost exports by making them cheaper abroad (benefit) but increases import costs, fuelling inflation (cost)."
         },
+        {
+          "type": "numeric",
+          "prompt": "Calculate the real interest rate in Turkey in December 2022.",
+          "calculation": "difference",
+          "cells": [
+            {
+              "column": "InflationRate",
+              "row": "Dec 2022"
+            },
+            {
+              "column": "InterestRate",
+              "row": "Dec 2022"
+            }
+          ],
+          "unit": "percent",
+          "marks": 2
+        },
         {
           "prompt": "Explain how cutting interest rates contributed to the lira\u2019s depreciation.",
           "answer": "Lower interest rates reduce returns on lira\u2011denominated assets, leading investors to sell the currency, increasing supply in the foreign exchange market and lowering its value."
@@ -16956,6 +16989,22 @@ window.QUESTION_DATA = {
           "prompt": "Identify two structural weaknesses that made Sri Lanka vulnerable to the crisis.",
           "answer": "Heavy reliance on external borrowing for infrastructure and dependence on tourism revenues left Sri Lanka exposed when capital flows dried up and tourism collapsed."
         },
+        {
+          "type": "numeric",
+          "prompt": "Calculate the percentage change in Sri Lanka\u2019s foreign reserves between 2020 and 2021.",
+          "calculation": "percentChange",
+          "cells": [
+            {
+              "column": "ForeignReserves",
+              "row": 2020
+            },
+            {
+              "column": "ForeignReserves",
+              "row": 2021
+            }
+          ],
+          "marks": 2
+        },
         {
           "prompt": "Discuss one advantage and one disadvantage of seeking an IMF bailout.",
           "answer": "An IMF bailout provides emergency financing and policy guidance (advantage), but often requires austerity measures that can worsen short\u2011term economic hardship (disadvantage)."
@@ -16991,6 +17040,22 @@ window.QUESTION_DATA = {
           "prompt": "Explain why fuel subsidies can lead to fiscal deficits and market distortions.",
           "answer": "Subsidies lower prices below market equilibrium, increasing consumption and government spending, which can create deficits and encourage smuggling and overuse."
         },
+        {
+          "type": "numeric",
+          "prompt": "Calculate the percentage change in the price of petrol between April and June 2023.",
+          "calculation": "percentChange",
+          "cells": [
+            {
+              "column": "PetrolPriceNaira",
+              "row": "April 2023"
+            },
+            {
+              "column": "PetrolPriceNaira",
+              "row": "June 2023"
+            }
+          ],
+          "marks": 2
+        },
         {
           "prompt": "Suggest one policy to mitigate the impact of subsidy removal on low\u2011income households and justify your answer.",
           "answer": "Targeted cash transfers to low\u2011income households can help offset higher fuel costs while avoiding blanket subsidies that benefit rich and poor alike."
@@ -17096,6 +17161,22 @@ window.QUESTION_DATA = {
           "prompt": "Identify one intended benefit of raising the minimum wage and one potential downside.",
           "answer": "Intended benefit: reduce in\u2011work poverty and increase consumption; downside: raise labour costs for firms, possibly reducing hiring."
         },
+        {
+          "type": "numeric",
+          "prompt": "Calculate the percentage increase in the German minimum wage between 2021 and 2023.",
+          "calculation": "percentChange",
+          "cells": [
+            {
+              "column": "MinimumWageEuro",
+              "row": 2021
+            },
+            {
+              "column": "MinimumWageEuro",
+              "row": 2023
+            }
+          ],
+          "marks": 2
+        },
         {
           "prompt": "Using labour market diagrams, explain how a binding minimum wage can create unemployment.",
           "answer": "A minimum wage set above equilibrium raises the wage but reduces labour demanded while increasing labour supplied, creating excess supply (unemployment)."
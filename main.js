@@ -23,6 +23,7 @@ let QUESTIONS = {};
 // session starts and passed to the summary scene.
 let Session = {
   mode: null,
+  variant: null,
   level: 1,
   startTime: 0,
   endTime: 0,
@@ -30,7 +31,13 @@ let Session = {
   answers: [],
   correct: [],
   times: [],
-  keywordsFound: []
+  keywordsFound: [],
+  feedback: [],
+  misconceptions: [],
+  ratings: [],
+  timeouts: [],
+  rubrics: [],
+  adaptive: null
 };
 
 // Utility: shuffle an array (Fisher–Yates). Used to randomize question order.
@@ -42,6 +49,318 @@ function shuffleArray(array) {
   return array;
 }
 
+// Utility: round a number to a fixed number of decimal places.
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Utility: random integer between min and max inclusive.
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Utility: format a number of seconds as '45 s' or, from a minute up, '12:05'.
+function formatCountdown(seconds) {
+  if (seconds < 60) return `${seconds} s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Utility: random number between min and max, rounded to the given decimals.
+function randomFloat(min, max, decimals) {
+  return roundTo(min + Math.random() * (max - min), decimals);
+}
+
+// Session history, kept in IndexedDB. Each completed session is one
+// record { mode, variant, level, startedAt, at, results } where results
+// hold { id, topic, level, answer, marks, total, score, time } per
+// question, with score from 0 to 1 and time in milliseconds.
+// HISTORY_DB_VERSION is the schema version: HISTORY_UPGRADES[v] brings the
+// database from version v − 1 to v. The history is read into
+// SessionHistory (oldest first) before the menu opens.
+const HISTORY_DB_NAME = 'ib_econ_history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'sessions';
+const HISTORY_UPGRADES = {
+  1: db => {
+    const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('mode', 'mode');
+    store.createIndex('at', 'at');
+  }
+};
+let SessionHistory = [];
+let historyDB = null;
+
+// Progress saved by earlier versions in localStorage: a list of recent
+// sessions as { sessions: [...] }, or before that only the last session
+// as { mode, level, correct }. Moved into the history on first load, and
+// still used when IndexedDB is unavailable.
+const PROGRESS_KEY = 'ib_econ_progress';
+const PROGRESS_MAX_SESSIONS = 100;
+
+function loadLegacyProgress() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+  } catch (e) {
+    return [];
+  }
+  if (!saved) return [];
+  if (Array.isArray(saved.sessions)) return saved.sessions;
+  if (saved.mode && Array.isArray(saved.correct)) {
+    const results = saved.correct.filter(c => !Array.isArray(c)).map(c => {
+      const m = toMarks(c);
+      return { id: null, topic: null, level: saved.level, score: m.total > 0 ? m.marks / m.total : 0 };
+    });
+    return [{ mode: saved.mode, level: saved.level, at: null, results: results }];
+  }
+  return [];
+}
+
+// Add a session to those kept in localStorage, used when IndexedDB is
+// unavailable or fails to save it. loadHistory moves them into the
+// database once it opens again.
+function saveLegacyProgress(record) {
+  const sessions = loadLegacyProgress().concat([record]);
+  localStorage.setItem(PROGRESS_KEY, JSON.stringify({ sessions: sessions.slice(-PROGRESS_MAX_SESSIONS) }));
+}
+
+function openHistoryDB() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = event => {
+      for (let version = event.oldVersion + 1; version <= HISTORY_DB_VERSION; version++) {
+        HISTORY_UPGRADES[version](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Copy sessions saved in localStorage into the database, then remove them.
+function migrateLegacyProgress(db) {
+  const legacy = loadLegacyProgress();
+  if (legacy.length === 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    legacy.forEach(record => tx.objectStore(HISTORY_STORE).add(record));
+    tx.oncomplete = () => {
+      localStorage.removeItem(PROGRESS_KEY);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function readHistory(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Open the history database, migrate old progress and read every session
+// into SessionHistory. Falls back to localStorage if IndexedDB fails; the
+// returned promise always resolves.
+function loadHistory() {
+  return openHistoryDB()
+    .then(db => migrateLegacyProgress(db).then(() => readHistory(db)).then(sessions => {
+      historyDB = db;
+      SessionHistory = sessions;
+    }))
+    .catch(() => {
+      historyDB = null;
+      SessionHistory = loadLegacyProgress();
+    });
+}
+
+// Add the finished Session to the history.
+function recordSession() {
+  const results = Session.questions.map((q, idx) => {
+    const m = toMarks(Session.correct[idx]);
+    return {
+      id: q.id,
+      topic: q.topic,
+      level: q.level,
+      answer: JSON.parse(JSON.stringify(Session.answers[idx] === undefined ? null : Session.answers[idx])),
+      marks: m.marks,
+      total: m.total,
+      score: m.total > 0 ? m.marks / m.total : 0,
+      time: Session.times[idx] || 0
+    };
+  }).filter((r, idx) => Session.correct[idx] !== undefined);
+  const record = { mode: Session.mode, variant: Session.variant, level: Session.level, startedAt: Session.startTime, at: Session.endTime, results: results };
+  SessionHistory.push(record);
+  if (!historyDB) {
+    saveLegacyProgress(record);
+    return;
+  }
+  // A failed write keeps the session in localStorage instead, and a closed
+  // connection also sends later sessions there
+  let failed = false;
+  const keepLocally = error => {
+    if (failed) return;
+    failed = true;
+    console.error('Could not save the session to the history:', error);
+    saveLegacyProgress(record);
+  };
+  try {
+    const tx = historyDB.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).add(record);
+    tx.onerror = tx.onabort = () => keepLocally(tx.error);
+  } catch (error) {
+    historyDB = null;
+    keepLocally(error);
+  }
+}
+
+// Adaptive difficulty. A level is raised after scoring at least
+// ADAPTIVE_PROMOTE and lowered after scoring below ADAPTIVE_DEMOTE; for
+// the mode this is the last session's score, for a topic the average of
+// its last ADAPTIVE_WINDOW results (at least two are needed).
+const ADAPTIVE_PROMOTE = 0.8;
+const ADAPTIVE_DEMOTE = 0.5;
+const ADAPTIVE_WINDOW = 5;
+
+function averageScore(results) {
+  return results.reduce((sum, r) => sum + r.score, 0) / results.length;
+}
+
+// Level after scoring score at level: one up, one down or unchanged.
+function adjustLevel(level, score) {
+  if (score >= ADAPTIVE_PROMOTE) return Math.min(3, level + 1);
+  if (score < ADAPTIVE_DEMOTE) return Math.max(1, level - 1);
+  return level;
+}
+
+// Syllabus concepts that topics from different modes share (a flashcard
+// on "Elasticity", a diagram of "Unit elastic demand curve" and a
+// calculation of "Price elasticity of demand"), for the dashboard's
+// concept view. A topic belongs to the first concept whose pattern it
+// matches, so more specific concepts come first.
+const SYLLABUS_CONCEPTS = [
+  { concept: 'Phillips curve', pattern: /phillips/i },
+  { concept: 'Inflation', pattern: /inflation(?!ary gap)|deflator|\bCPI\b|demonetisation/i },
+  { concept: 'AD–AS and output gaps', pattern: /AD.AS|inflationary gap|recessionary gap/i },
+  { concept: 'Unemployment', pattern: /unemployment/i },
+  { concept: 'Indirect taxes and subsidies', pattern: /tax on producers|excise|tax revenue|subsid/i },
+  { concept: 'Price controls', pattern: /price (ceiling|floor|control)/i },
+  { concept: 'Labour market', pattern: /labour market|minimum wage/i },
+  { concept: 'Government debt', pattern: /debt/i },
+  { concept: 'Fiscal policy', pattern: /fiscal|crowding out|multiplier/i },
+  { concept: 'Monetary policy', pattern: /monetary|quantitative easing|money and banking/i },
+  { concept: 'Exchange rates', pattern: /exchange rate|foreign currency|marshall|depreciation|appreciation|devaluation/i },
+  { concept: 'Balance of payments', pattern: /balance of payments|current account|capital account/i },
+  { concept: 'Terms of trade', pattern: /terms of trade/i },
+  { concept: 'Comparative advantage', pattern: /comparative advantage/i },
+  { concept: 'Trade protection', pattern: /tariff|quota|protection|liberalisation|trade agreement/i },
+  { concept: 'Supply shocks', pattern: /supply chain|energy|commodit/i },
+  { concept: 'Supply‑side policies', pattern: /supply.side/i },
+  { concept: 'Elasticity', pattern: /elastic/i },
+  { concept: 'Market failure', pattern: /externalit|market failure|public good/i },
+  { concept: 'Consumer and producer surplus', pattern: /surplus|deadweight/i },
+  { concept: 'Market structures', pattern: /monopol|oligopol|marginal (cost|revenue)/i },
+  { concept: 'Inequality and poverty', pattern: /lorenz|gini|poverty|inequality/i },
+  { concept: 'GDP and growth', pattern: /\bGDP\b|growth/i },
+  { concept: 'Development', pattern: /development|microfinance|demographic|infrastructure|diversification/i },
+  { concept: 'Demand and supply', pattern: /\bdemand\b|\bsupply\b|equilibrium|substitute|complementary/i },
+  { concept: 'Scarcity and choice', pattern: /scarcity|opportunity cost/i }
+];
+
+// Syllabus concept of a topic, or the topic itself when none matches.
+function syllabusConcept(topic) {
+  const match = SYLLABUS_CONCEPTS.find(c => c.pattern.test(topic));
+  return match ? match.concept : topic;
+}
+
+// Mastery of each topic in the given sessions: the average score of its
+// last ADAPTIVE_WINDOW results. Topics are grouped by group(topic), e.g.
+// syllabusConcept to compare them across modes. Returns, by group,
+// { mastery, count, attempts, latestLevel, modes } where count is the
+// number of results averaged, attempts all results and latestLevel the
+// session level of the latest one.
+function topicMastery(sessions, group = topic => topic) {
+  const byTopic = {};
+  sessions.forEach(s => s.results.forEach(r => {
+    if (!r.topic) return;
+    const key = group(r.topic);
+    const entry = byTopic[key] || (byTopic[key] = { results: [], modes: [] });
+    entry.results.push({ score: r.score, level: s.level });
+    if (!entry.modes.includes(s.mode)) entry.modes.push(s.mode);
+  }));
+  const topics = {};
+  Object.keys(byTopic).forEach(topic => {
+    const all = byTopic[topic].results;
+    const recent = all.slice(-ADAPTIVE_WINDOW);
+    topics[topic] = {
+      mastery: averageScore(recent),
+      count: recent.length,
+      attempts: all.length,
+      latestLevel: recent[recent.length - 1].level,
+      modes: byTopic[topic].modes
+    };
+  });
+  return topics;
+}
+
+// Work out the adaptive plan for a mode from saved sessions. Returns
+// { level, reason, topics, weakest }: the recommended level and why, per
+// topic its topicMastery entry plus the level to play it at, and the
+// weakest topics first.
+function adaptivePlan(mode, sessions) {
+  const played = sessions.filter(s => s.mode === mode && s.results.length > 0);
+  if (played.length === 0) {
+    return { level: 1, reason: 'No saved results for this mode yet, so start at Level 1.', topics: {}, weakest: [] };
+  }
+  const last = played[played.length - 1];
+  const score = averageScore(last.results);
+  const level = adjustLevel(last.level, score);
+  const percent = Math.round(score * 100);
+  let reason;
+  if (level > last.level) {
+    reason = `Moved up to Level ${level}: you scored ${percent}% in your last session at Level ${last.level}.`;
+  } else if (level < last.level) {
+    reason = `Moved down to Level ${level}: you scored ${percent}% in your last session at Level ${last.level}.`;
+  } else {
+    const next = last.level < 3 ? ` (${Math.round(ADAPTIVE_PROMOTE * 100)}% moves you up)` : '';
+    reason = `Staying at Level ${level}: you scored ${percent}% in your last session${next}.`;
+  }
+  // Each topic keeps the level of its latest result, adjusted by its
+  // recent average
+  const topics = topicMastery(played);
+  Object.keys(topics).forEach(topic => {
+    const t = topics[topic];
+    t.level = t.count >= 2 ? adjustLevel(t.latestLevel, t.mastery) : t.latestLevel;
+  });
+  const weakest = Object.keys(topics).filter(t => topics[t].mastery < ADAPTIVE_DEMOTE)
+    .sort((a, b) => topics[a].mastery - topics[b].mastery);
+  if (weakest.length > 0) {
+    reason += ' Extra practice on ' + weakest.slice(0, 3).map(t => `${t} (${Math.round(topics[t].mastery * 100)}%)`).join(', ') + '.';
+  }
+  return { level: level, reason: reason, topics: topics, weakest: weakest };
+}
+
+// Level to use for a topic in an adaptive session: its own level, or the
+// plan's level for topics not seen before.
+function adaptiveTopicLevel(plan, topic) {
+  return plan.topics[topic] ? plan.topics[topic].level : plan.level;
+}
+
+// Questions for an adaptive session: questions above their topic's level
+// are left out (unless none would remain) and weaker topics come first,
+// with topics not seen before between weak and strong ones.
+function adaptQuestions(questions, plan) {
+  const suitable = questions.filter(q => q.level <= adaptiveTopicLevel(plan, q.topic));
+  const mastery = q => plan.topics[q.topic] ? plan.topics[q.topic].mastery : ADAPTIVE_DEMOTE;
+  return shuffleArray((suitable.length > 0 ? suitable : questions).slice()).sort((a, b) => mastery(a) - mastery(b));
+}
+
 // BootScene – loads question data and transitions to the MenuScene. A
 // simple loading animation could be added here if desired.
 class BootScene extends Phaser.Scene {
@@ -61,8 +380,12 @@ class BootScene extends Phaser.Scene {
       return;
     }
     QUESTIONS = window.QUESTION_DATA;
-    // Proceed to menu
-    this.scene.start('MenuScene');
+    // Read the session history, then proceed to menu
+    const loading = this.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, 'Loading…', { fontSize: '20px', color: '#333' }).setOrigin(0.5);
+    loadHistory().then(() => {
+      loading.destroy();
+      this.scene.start('MenuScene');
+    });
   }
 }
 
@@ -97,12 +420,36 @@ class MenuScene extends Phaser.Scene {
         .on('pointerdown', () => this.showLevelSelection(mode.key));
     });
 
-    // Info about existing progress (stored in localStorage). This
-    // encourages replay by reminding players of their level. Only show if
-    // progress exists.
-    const progress = localStorage.getItem('ib_econ_progress');
-    if (progress) {
-      const info = this.add.text(GAME_WIDTH / 2, GAME_HEIGHT - 40, 'Saved progress found. Your previous best results will be used for adaptive difficulty.', { fontSize: '14px', color: '#555' }).setOrigin(0.5);
+    // Progress dashboard, top right
+    const dashboardBtn = this.add.text(GAME_WIDTH - 20, 10, 'Progress', {
+      fontSize: '18px',
+      backgroundColor: '#1976d2',
+      color: '#ffffff',
+      padding: { left: 8, right: 8, top: 4, bottom: 4 }
+    }).setOrigin(1, 0)
+      .setInteractive({ useHandCursor: true })
+      .on('pointerover', () => dashboardBtn.setBackgroundColor('#145a9e'))
+      .on('pointerout', () => dashboardBtn.setBackgroundColor('#1976d2'))
+      .on('pointerdown', () => this.scene.start('DashboardScene'));
+
+    // Recommended levels from saved progress. This encourages replay by
+    // reminding players of their level; the reasons are shown when a
+    // mode is chosen.
+    const progress = SessionHistory;
+    const recommended = modes.filter(mode => progress.some(s => s.mode === mode.key))
+      .map(mode => `${mode.label} ${adaptivePlan(mode.key, progress).level}`);
+    if (recommended.length > 0) {
+      this.add.text(GAME_WIDTH / 2, GAME_HEIGHT - 40, 'Recommended levels from your saved results: ' + recommended.join(', '), { fontSize: '14px', color: '#555', align: 'center', wordWrap: { width: GAME_WIDTH - 100 } }).setOrigin(0.5);
+    }
+
+    // Flashcards due for review, by topic, with the busiest topics first
+    const dueCounts = countDueFlashcards(QUESTIONS.flash || [], loadFlashcardSchedule(), Date.now());
+    const dueTopics = Object.keys(dueCounts).sort((a, b) => dueCounts[b] - dueCounts[a]);
+    if (dueTopics.length > 0) {
+      const totalDue = dueTopics.reduce((sum, t) => sum + dueCounts[t], 0);
+      let dueLine = `Flashcards due for review: ${totalDue} – ` + dueTopics.slice(0, 6).map(t => `${t} (${dueCounts[t]})`).join(', ');
+      if (dueTopics.length > 6) dueLine += ` and ${dueTopics.length - 6} more topics`;
+      this.add.text(GAME_WIDTH / 2, startY + modes.length * 50 + 20, dueLine, { fontSize: '14px', color: '#333', align: 'center', wordWrap: { width: GAME_WIDTH - 100 } }).setOrigin(0.5, 0);
     }
   }
   // Display a simple overlay for level selection. Once a level is
@@ -117,17 +464,44 @@ class MenuScene extends Phaser.Scene {
     this.levelOverlay = overlay;
     const bg = this.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.5).setOrigin(0);
     overlay.add(bg);
-    const panelWidth = 400;
-    const panelHeight = 250;
+    const variants = MODE_VARIANTS[modeKey];
+    const plan = adaptivePlan(modeKey, SessionHistory);
+    const panelWidth = variants ? 480 : 400;
+    const panelHeight = variants ? 385 : 360;
     const panelX = (GAME_WIDTH - panelWidth) / 2;
     const panelY = (GAME_HEIGHT - panelHeight) / 2;
     const panel = this.add.rectangle(panelX, panelY, panelWidth, panelHeight, 0xffffff).setOrigin(0);
     overlay.add(panel);
     const title = this.add.text(panelX + panelWidth / 2, panelY + 40, 'Select Difficulty Level', { fontSize: '22px', color: '#1e3a8a' }).setOrigin(0.5);
     overlay.add(title);
-    const levels = [1, 2, 3];
+    // Some modes can be played in several ways; the chosen variant is
+    // kept between visits to the menu.
+    let levelY = panelY + 90;
+    if (variants) {
+      this.variants = this.variants || {};
+      this.variants[modeKey] = this.variants[modeKey] || variants[0].key;
+      const toggles = [];
+      const spacing = panelWidth / (variants.length + 1);
+      variants.forEach((variant, idx) => {
+        const toggle = this.add.text(panelX + spacing * (idx + 1), panelY + 75, variant.label, { fontSize: '15px', color: '#1976d2', padding: 4 })
+          .setOrigin(0.5)
+          .setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => {
+            this.variants[modeKey] = variant.key;
+            toggles.forEach((t, i) => t.setBackgroundColor(variants[i].key === variant.key ? '#dbe7f6' : '#ffffff'));
+          });
+        toggle.setBackgroundColor(variant.key === this.variants[modeKey] ? '#dbe7f6' : '#ffffff');
+        toggles.push(toggle);
+        overlay.add(toggle);
+      });
+      levelY += 25;
+    }
+    // Levels 1–3, then the adaptive choice: the recommended level with
+    // each topic at its own level and weaker topics first
+    const levels = [1, 2, 3, plan.level];
     levels.forEach((lvl, idx) => {
-      const btn = this.add.text(panelX + panelWidth / 2, panelY + 90 + idx * 40, 'Level ' + lvl, { fontSize: '20px', backgroundColor: '#1976d2', color: '#ffffff', padding: 8 })
+      const adaptive = idx === 3;
+      const btn = this.add.text(panelX + panelWidth / 2, levelY + idx * 40, adaptive ? `Recommended (Level ${lvl})` : 'Level ' + lvl, { fontSize: '20px', backgroundColor: '#1976d2', color: '#ffffff', padding: 8 })
         .setOrigin(0.5)
         .setInteractive({ useHandCursor: true })
         .on('pointerover', () => btn.setBackgroundColor('#145a9e'))
@@ -136,6 +510,7 @@ class MenuScene extends Phaser.Scene {
           // Start session
           Session = {
             mode: modeKey,
+            variant: variants ? this.variants[modeKey] : null,
             level: lvl,
             startTime: Date.now(),
             endTime: 0,
@@ -143,7 +518,13 @@ class MenuScene extends Phaser.Scene {
             answers: [],
             correct: [],
             times: [],
-            keywordsFound: []
+            keywordsFound: [],
+            feedback: [],
+            misconceptions: [],
+            ratings: [],
+            timeouts: [],
+            rubrics: [],
+            adaptive: adaptive ? plan : null
           };
           overlay.destroy();
           // Determine which scene to start based on modeKey
@@ -177,6 +558,8 @@ class MenuScene extends Phaser.Scene {
         });
       overlay.add(btn);
     });
+    const reason = this.add.text(panelX + panelWidth / 2, levelY + 140, plan.reason, { fontSize: '13px', color: '#555', align: 'center', wordWrap: { width: panelWidth - 40 } }).setOrigin(0.5, 0);
+    overlay.add(reason);
     // Cancel button
     const cancelBtn = this.add.text(panelX + panelWidth / 2, panelY + panelHeight - 30, 'Cancel', { fontSize: '18px', color: '#1976d2' })
       .setOrigin(0.5)
@@ -200,15 +583,7 @@ class QuestionScene extends Phaser.Scene {
     this.textObjects = [];
   }
   create() {
-    // Filter questions by mode and level. Default to all questions if
-    // none match the level (useful for demonstration). The slice() call
-    // makes a copy to avoid mutating the original array.
-    const allQuestions = QUESTIONS[this.modeKey] || [];
-    const filtered = allQuestions.filter(q => q.level === Session.level || q.level < Session.level);
-    // Fallback: if no questions match at the selected level, use all
-    // questions. This prevents the game from crashing and allows testing
-    // with incomplete data sets.
-    this.questions = filtered.length > 0 ? shuffleArray(filtered.slice()) : shuffleArray(allQuestions.slice());
+    this.questions = this.loadQuestions();
     Session.questions = this.questions;
     // Title and instructions
     this.add.text(GAME_WIDTH / 2, 40, this.getTitle(), { fontSize: '26px', color: '#1e3a8a' }).setOrigin(0.5);
@@ -249,6 +624,24 @@ class QuestionScene extends Phaser.Scene {
     this.createQuestionUI(this.questions[this.currentIndex]);
   }
 
+  // Choose the questions for this session. Subclasses may override to
+  // generate questions instead of reading them from QUESTIONS.
+  loadQuestions() {
+    // Filter questions by mode and level. Default to all questions if
+    // none match the level (useful for demonstration). The slice() call
+    // makes a copy to avoid mutating the original array.
+    const allQuestions = QUESTIONS[this.modeKey] || [];
+    // Adaptive sessions choose each topic's level themselves, which may be
+    // above the session's level
+    if (Session.adaptive) return adaptQuestions(allQuestions, Session.adaptive);
+    const filtered = allQuestions.filter(q => q.level === Session.level || q.level < Session.level);
+    // Fallback: if no questions match at the selected level, use all
+    // questions. This prevents the game from crashing and allows testing
+    // with incomplete data sets.
+    if (filtered.length === 0) return shuffleArray(allQuestions.slice());
+    return shuffleArray(filtered.slice());
+  }
+
   // Update the progress bar based on the current index and total questions.
   updateProgressBar() {
     const total = this.questions.length;
@@ -275,10 +668,38 @@ class QuestionScene extends Phaser.Scene {
   evaluateAnswer(question, userAnswer) {
     return { correct: false, info: null };
   }
+  // Show a countdown at (x, y) starting from the given number of seconds.
+  // onExpire runs once if it reaches zero; this.countdownRemaining holds
+  // the seconds left while it runs.
+  startCountdown(seconds, x, y, onExpire) {
+    this.countdownRemaining = seconds;
+    const timerText = this.add.text(x, y, 'Time left: ' + formatCountdown(seconds), { fontSize: '18px', color: '#1e3a8a' }).setOrigin(1, 0);
+    this.textObjects.push(timerText);
+    this.countdown = this.time.addEvent({
+      delay: 1000,
+      loop: true,
+      callback: () => {
+        this.countdownRemaining--;
+        timerText.setText('Time left: ' + formatCountdown(this.countdownRemaining));
+        if (this.countdownRemaining <= Math.min(60, seconds / 5)) timerText.setColor('#d32f2f');
+        if (this.countdownRemaining <= 0) {
+          this.stopCountdown();
+          onExpire();
+        }
+      }
+    });
+  }
+  stopCountdown() {
+    if (this.countdown) {
+      this.countdown.remove();
+      this.countdown = null;
+    }
+  }
   // Remove any existing UI elements (for example, DOM elements) before
   // drawing a new question. Subclasses may override if they add
   // additional cleanup.
   cleanup() {
+    this.stopCountdown();
     if (this.domContainer) {
       this.domContainer.destroy();
       this.domContainer = null;
@@ -299,8 +720,12 @@ class QuestionScene extends Phaser.Scene {
     // Evaluate answer
     const result = this.evaluateAnswer(question, userAnswer);
     Session.answers.push(userAnswer);
-    Session.correct.push(result.correct);
+    // Questions marked in parts record { marks, total } instead of a boolean
+    Session.correct.push('marks' in result ? { marks: result.marks, total: result.total } : result.correct);
     Session.keywordsFound.push(result.keywordsFound || []);
+    Session.feedback.push(result.feedback || []);
+    Session.misconceptions.push(result.misconceptions || []);
+    Session.rubrics.push(result.rubric || null);
     // Record time spent on this question
     const now = Date.now();
     const elapsed = now - (Session.lastTimestamp || Session.startTime);
@@ -313,8 +738,8 @@ class QuestionScene extends Phaser.Scene {
       this.createQuestionUI(this.questions[this.currentIndex]);
     } else {
       Session.endTime = Date.now();
-      // Save progress for adaptive difficulty
-      localStorage.setItem('ib_econ_progress', JSON.stringify({ mode: Session.mode, level: Session.level, correct: Session.correct }));
+      // Save the session to the history
+      recordSession();
       this.scene.start('SummaryScene');
     }
   }
@@ -331,8 +756,962 @@ class QuestionScene extends Phaser.Scene {
   }
 }
 
-// DiagramScene – player reads a scenario, draws a diagram on paper (optional),
-// writes an explanation and then views the correct diagram and solution.
+// Curve types available on the drawing canvas. Each type has a default
+// label and a base shape; shapes are defined in normalised plot
+// coordinates (0–1 on both axes, origin bottom‑left) by curveShapePoints.
+const DIAGRAM_CURVE_TYPES = {
+  demand: { name: 'Demand (D)', label: 'D', shape: 'down', color: '#1976d2' },
+  supply: { name: 'Supply (S)', label: 'S', shape: 'up', color: '#d32f2f' },
+  inelasticSupply: { name: 'Perfectly inelastic supply', label: 'S', shape: 'vertical', color: '#d32f2f' },
+  ad: { name: 'Aggregate demand (AD)', label: 'AD', shape: 'down', color: '#1976d2' },
+  sras: { name: 'Short‑run aggregate supply (SRAS)', label: 'SRAS', shape: 'up', color: '#d32f2f' },
+  lras: { name: 'Long‑run aggregate supply (LRAS)', label: 'LRAS', shape: 'vertical', color: '#6a1b9a' },
+  mpc: { name: 'Marginal private cost (MPC)', label: 'MPC', shape: 'up', color: '#d32f2f' },
+  msc: { name: 'Marginal social cost (MSC)', label: 'MSC', shape: 'up', color: '#ef6c00' },
+  mpb: { name: 'Marginal private benefit (MPB)', label: 'MPB', shape: 'down', color: '#1976d2' },
+  msb: { name: 'Marginal social benefit (MSB)', label: 'MSB', shape: 'down', color: '#00897b' },
+  mc: { name: 'Marginal cost (MC)', label: 'MC', shape: 'up', color: '#d32f2f' },
+  mr: { name: 'Marginal revenue (MR)', label: 'MR', shape: 'steepDown', color: '#00897b' },
+  ac: { name: 'Average cost (AC)', label: 'AC', shape: 'u', color: '#ef6c00' },
+  kinked: { name: 'Kinked demand', label: 'D', shape: 'kinked', color: '#1976d2' },
+  priceLine: { name: 'Price control line', label: 'Pmax', shape: 'horizontal', color: '#455a64' },
+  ppf: { name: 'Production possibilities frontier (PPF)', label: 'PPF', shape: 'concave', color: '#1976d2' },
+  srpc: { name: 'Short‑run Phillips curve (SRPC)', label: 'SRPC', shape: 'convex', color: '#1976d2' },
+  lrpc: { name: 'Long‑run Phillips curve (LRPC)', label: 'LRPC', shape: 'vertical', color: '#6a1b9a' },
+  lorenz: { name: 'Lorenz curve', label: 'Lorenz', shape: 'lorenz', color: '#d32f2f' },
+  equality: { name: 'Line of equality', label: 'Equality', shape: 'diagonal', color: '#455a64' },
+  indifference: { name: 'Indifference curve (IC)', label: 'IC', shape: 'convex', color: '#1976d2' },
+  budget: { name: 'Budget line (BL)', label: 'BL', shape: 'down', color: '#d32f2f' },
+  index: { name: 'Index line', label: 'Index', shape: 'horizontal', color: '#455a64' }
+};
+
+// Axis labels offered in the canvas toolbar. Students must pick both axes
+// themselves; labelling axes is part of what IB examiners reward.
+const DIAGRAM_AXIS_LABELS = {
+  y: ['Price', 'Price level', 'Inflation rate', 'Wage rate', 'Exchange rate', 'Costs / Revenue', 'Costs / Benefits', 'Cumulative % of income', 'Good Y', 'Index'],
+  x: ['Quantity', 'Real GDP', 'Unemployment rate', 'Quantity of labour', 'Quantity of currency', 'Cumulative % of population', 'Good X', 'Time']
+};
+
+// Labels for areas students can shade. Areas in the model diagram library
+// with one of these labels are checked when grading a drawing.
+const DIAGRAM_AREA_LABELS = [
+  { value: 'Welfare loss', name: 'Welfare loss' },
+  { value: 'Tax revenue', name: 'Tax revenue' },
+  { value: 'Government spending', name: 'Government spending (subsidy)' },
+  { value: 'Abnormal profit', name: 'Abnormal profit' },
+  { value: 'A', name: 'Gini area A' },
+  { value: 'B', name: 'Gini area B' }
+];
+
+// Return the polyline for a base curve shape in normalised coordinates.
+function curveShapePoints(shape) {
+  const pts = [];
+  switch (shape) {
+    case 'down': return [[0.1, 0.9], [0.9, 0.1]];
+    case 'steepDown': return [[0.1, 0.8], [0.45, 0.1]];
+    case 'up': return [[0.1, 0.1], [0.9, 0.9]];
+    case 'vertical': return [[0.5, 0.02], [0.5, 0.95]];
+    case 'horizontal': return [[0.02, 0.5], [0.95, 0.5]];
+    case 'diagonal': return [[0, 0], [1, 1]];
+    case 'kinked': return [[0.05, 0.8], [0.45, 0.6], [0.85, 0.12]];
+    case 'u':
+      for (let i = 0; i <= 20; i++) {
+        const x = 0.15 + 0.75 * (i / 20);
+        pts.push([x, 0.5 + 1.5 * (x - 0.5) * (x - 0.5)]);
+      }
+      return pts;
+    case 'concave':
+      for (let i = 0; i <= 20; i++) {
+        const t = (i / 20) * Math.PI / 2;
+        pts.push([0.85 * Math.sin(t), 0.85 * Math.cos(t)]);
+      }
+      return pts;
+    case 'convex':
+      for (let i = 0; i <= 20; i++) {
+        const t = i / 20;
+        pts.push([0.1 + 0.8 * t, 0.1 + 0.8 * (1 - t) * (1 - t)]);
+      }
+      return pts;
+    case 'lorenz':
+      for (let i = 0; i <= 20; i++) {
+        const t = i / 20;
+        pts.push([t, t * t]);
+      }
+      return pts;
+    default: return [[0.1, 0.1], [0.9, 0.9]];
+  }
+}
+
+// Shortest distance from point p to the segment a–b (all [x, y] pairs).
+function distanceToSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lenSq = dx * dx + dy * dy;
+  let t = lenSq > 0 ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const cx = a[0] + t * dx;
+  const cy = a[1] + t * dy;
+  return Math.hypot(p[0] - cx, p[1] - cy);
+}
+
+// Points of a curve after applying its offset. Curves in the model
+// diagram library may supply explicit points instead of a base shape.
+function diagramCurvePoints(curve) {
+  const base = curve.points || curveShapePoints(DIAGRAM_CURVE_TYPES[curve.type].shape);
+  return base.map(([x, y]) => [x + (curve.offsetX || 0), y + (curve.offsetY || 0)]);
+}
+
+// Intersection of segments a–b and c–d, or null if they do not cross.
+function segmentIntersection(a, b, c, d) {
+  const r = [b[0] - a[0], b[1] - a[1]];
+  const s = [d[0] - c[0], d[1] - c[1]];
+  const denom = r[0] * s[1] - r[1] * s[0];
+  if (Math.abs(denom) < 1e-9) return null;
+  const t = ((c[0] - a[0]) * s[1] - (c[1] - a[1]) * s[0]) / denom;
+  const u = ((c[0] - a[0]) * r[1] - (c[1] - a[1]) * r[0]) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return [a[0] + t * r[0], a[1] + t * r[1]];
+}
+
+// First intersection of two curves, or null if they do not meet.
+function curveIntersection(curveA, curveB) {
+  const pa = diagramCurvePoints(curveA);
+  const pb = diagramCurvePoints(curveB);
+  for (let i = 0; i < pa.length - 1; i++) {
+    for (let j = 0; j < pb.length - 1; j++) {
+      const hit = segmentIntersection(pa[i], pa[i + 1], pb[j], pb[j + 1]);
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+// Model diagrams keyed on the expectedDiagram values used in the question
+// data. Coordinates are normalised like the drawing canvas. Points may be
+// given directly ({ x, y }) or as the intersection of two curves named by
+// label ({ on: ['D', 'S'] }). Areas are shaded polygons; segments mark
+// gaps such as a shortage or a recessionary gap; notes are shown as text.
+// Curves marked optional are drawn but not required when grading.
+const DIAGRAM_LIBRARY = {
+  'Demand and supply equilibrium': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D' }, { type: 'supply', label: 'S' }],
+    points: [{ label: 'Pe / Qe', on: ['D', 'S'] }],
+    notes: ['Equilibrium is where quantity demanded equals quantity supplied; there is no shortage or surplus.']
+  },
+  'Price ceiling with shortage': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D' }, { type: 'supply', label: 'S' }, { type: 'priceLine', label: 'Pmax', offsetY: -0.15 }],
+    points: [{ label: 'Pe', on: ['D', 'S'] }, { label: 'Qs', on: ['S', 'Pmax'] }, { label: 'Qd', on: ['D', 'Pmax'] }],
+    segments: [{ from: [0.35, 0.3], to: [0.65, 0.3], label: 'Shortage' }],
+    notes: ['A maximum price set below equilibrium makes quantity demanded (Qd) exceed quantity supplied (Qs).']
+  },
+  'Price floor with surplus': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D' }, { type: 'supply', label: 'S' }, { type: 'priceLine', label: 'Pmin', offsetY: 0.15 }],
+    points: [{ label: 'Pe', on: ['D', 'S'] }, { label: 'Qd', on: ['D', 'Pmin'] }, { label: 'Qs', on: ['S', 'Pmin'] }],
+    segments: [{ from: [0.35, 0.7], to: [0.65, 0.7], label: 'Surplus' }],
+    notes: ['A minimum price set above equilibrium makes quantity supplied (Qs) exceed quantity demanded (Qd).']
+  },
+  'Tax on producers': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D' }, { type: 'supply', label: 'S1' }, { type: 'supply', label: 'S2 = S1 + tax', offsetY: 0.2 }],
+    points: [{ label: 'E1', on: ['D', 'S1'] }, { label: 'E2', on: ['D', 'S2 = S1 + tax'] }, { label: '', x: 0.4, y: 0.4 }],
+    areas: [
+      { label: 'Tax revenue', polygon: [[0, 0.6], [0.4, 0.6], [0.4, 0.4], [0, 0.4]], color: 'rgba(25, 118, 210, 0.25)' },
+      { label: 'Welfare loss', polygon: [[0.4, 0.6], [0.5, 0.5], [0.4, 0.4]], color: 'rgba(211, 47, 47, 0.35)' }
+    ],
+    notes: ['Supply shifts up by the tax. Consumers pay the part of the tax above the old price; producers bear the part below it.']
+  },
+  'Subsidy to producers': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D' }, { type: 'supply', label: 'S1' }, { type: 'supply', label: 'S2 = S1 − subsidy', offsetY: -0.2 }],
+    points: [{ label: 'E1', on: ['D', 'S1'] }, { label: 'E2', on: ['D', 'S2 = S1 − subsidy'] }, { label: '', x: 0.6, y: 0.6 }],
+    areas: [{ label: 'Government spending', polygon: [[0, 0.6], [0.6, 0.6], [0.6, 0.4], [0, 0.4]], color: 'rgba(25, 118, 210, 0.25)' }],
+    notes: ['Supply shifts down by the subsidy. Consumers gain from the lower price; producers receive the price plus the subsidy.']
+  },
+  'Negative externality of production': {
+    axes: { x: 'Quantity', y: 'Costs / Benefits' },
+    curves: [{ type: 'mpb', label: 'MPB = MSB' }, { type: 'mpc', label: 'MPC' }, { type: 'msc', label: 'MSC', offsetY: 0.2 }],
+    points: [{ label: 'Qm', on: ['MPB = MSB', 'MPC'] }, { label: 'Q*', on: ['MPB = MSB', 'MSC'] }],
+    areas: [{ label: 'Welfare loss', polygon: [[0.4, 0.6], [0.5, 0.7], [0.5, 0.5]], color: 'rgba(211, 47, 47, 0.35)' }],
+    notes: ['MSC lies above MPC by the external cost, so the market overproduces (Qm > Q*).']
+  },
+  'Positive externality of consumption': {
+    axes: { x: 'Quantity', y: 'Costs / Benefits' },
+    curves: [{ type: 'supply', label: 'MPC = MSC' }, { type: 'mpb', label: 'MPB' }, { type: 'msb', label: 'MSB', offsetY: 0.2 }],
+    points: [{ label: 'Qm', on: ['MPC = MSC', 'MPB'] }, { label: 'Q*', on: ['MPC = MSC', 'MSB'] }],
+    areas: [{ label: 'Welfare loss', polygon: [[0.5, 0.5], [0.5, 0.7], [0.6, 0.6]], color: 'rgba(211, 47, 47, 0.35)' }],
+    notes: ['MSB lies above MPB by the external benefit, so the market underconsumes (Qm < Q*).']
+  },
+  'Unit elastic demand curve': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'demand', label: 'D (PED = 1)', points: [[0.12, 0.75], [0.15, 0.6], [0.2, 0.45], [0.3, 0.3], [0.45, 0.2], [0.6, 0.15], [0.75, 0.12], [0.9, 0.1]] }],
+    points: [{ label: 'A', x: 0.2, y: 0.45 }, { label: 'B', x: 0.6, y: 0.15 }],
+    areas: [
+      { label: 'TR at A', polygon: [[0, 0], [0, 0.45], [0.2, 0.45], [0.2, 0]], color: 'rgba(25, 118, 210, 0.2)' },
+      { label: 'TR at B', polygon: [[0, 0], [0, 0.15], [0.6, 0.15], [0.6, 0]], color: 'rgba(0, 137, 123, 0.2)' }
+    ],
+    notes: ['A rectangular hyperbola: total revenue (P × Q) is the same at every point on the curve.']
+  },
+  'Perfectly inelastic supply': {
+    axes: { x: 'Quantity', y: 'Price' },
+    curves: [{ type: 'inelasticSupply', label: 'S' }, { type: 'demand', label: 'D1' }, { type: 'demand', label: 'D2', offsetX: 0.15 }],
+    points: [{ label: 'E1', on: ['D1', 'S'] }, { label: 'E2', on: ['D2', 'S'] }],
+    notes: ['Supply is vertical (PES = 0): a change in demand changes only the price, not the quantity.']
+  },
+  'Market for foreign currency': {
+    axes: { x: 'Quantity of currency', y: 'Exchange rate' },
+    curves: [{ type: 'demand', label: 'D for currency' }, { type: 'supply', label: 'S of currency' }],
+    points: [{ label: 'e*', on: ['D for currency', 'S of currency'] }],
+    notes: ['Demand comes from foreigners buying exports and assets; supply from residents buying imports and foreign assets.']
+  },
+  'AD‑AS long‑run equilibrium': {
+    axes: { x: 'Real GDP', y: 'Price level' },
+    curves: [{ type: 'ad', label: 'AD' }, { type: 'sras', label: 'SRAS' }, { type: 'lras', label: 'LRAS' }],
+    points: [{ label: 'Yf', on: ['AD', 'SRAS'] }],
+    notes: ['AD, SRAS and LRAS intersect at full employment output (Yf).']
+  },
+  'AD‑AS recessionary gap': {
+    axes: { x: 'Real GDP', y: 'Price level' },
+    curves: [{ type: 'ad', label: 'AD', offsetX: -0.15 }, { type: 'sras', label: 'SRAS' }, { type: 'lras', label: 'LRAS' }],
+    points: [{ label: 'Ye', on: ['AD', 'SRAS'] }],
+    segments: [{ from: [0.425, 0.08], to: [0.5, 0.08], label: 'Recessionary gap' }],
+    notes: ['Equilibrium output Ye lies below potential output Yf on the LRAS, so there is cyclical unemployment.']
+  },
+  'AD‑AS demand‑pull inflation': {
+    axes: { x: 'Real GDP', y: 'Price level' },
+    curves: [{ type: 'ad', label: 'AD1' }, { type: 'ad', label: 'AD2', offsetX: 0.15 }, { type: 'sras', label: 'SRAS' }],
+    points: [{ label: 'E1', on: ['AD1', 'SRAS'] }, { label: 'E2', on: ['AD2', 'SRAS'] }],
+    notes: ['AD shifts right; the price level rises (P1 → P2) together with real GDP.']
+  },
+  'AD‑AS cost‑push inflation': {
+    axes: { x: 'Real GDP', y: 'Price level' },
+    curves: [{ type: 'ad', label: 'AD' }, { type: 'sras', label: 'SRAS1' }, { type: 'sras', label: 'SRAS2', offsetX: -0.15 }],
+    points: [{ label: 'E1', on: ['AD', 'SRAS1'] }, { label: 'E2', on: ['AD', 'SRAS2'] }],
+    notes: ['SRAS shifts left after a rise in costs; the price level rises while real GDP falls (stagflation).']
+  },
+  'Fiscal policy multiplier effect': {
+    axes: { x: 'Real GDP', y: 'Price level' },
+    curves: [{ type: 'ad', label: 'AD1' }, { type: 'ad', label: 'AD2', offsetX: 0.1 }, { type: 'ad', label: 'AD3', offsetX: 0.25 }, { type: 'sras', label: 'SRAS' }],
+    points: [{ label: 'Y1', on: ['AD1', 'SRAS'] }, { label: 'Y3', on: ['AD3', 'SRAS'] }],
+    segments: [
+      { from: [0.5, 0.08], to: [0.55, 0.08], label: 'ΔG' },
+      { from: [0.55, 0.16], to: [0.625, 0.16], label: 'Multiplier' }
+    ],
+    notes: ['The initial injection (AD1 → AD2) is multiplied through induced consumption, shifting AD further to AD3.']
+  },
+  'Monopoly equilibrium': {
+    axes: { x: 'Quantity', y: 'Costs / Revenue' },
+    curves: [{ type: 'demand', label: 'D = AR' }, { type: 'mr', label: 'MR' }, { type: 'mc', label: 'MC' }, { type: 'ac', label: 'AC' }],
+    points: [{ label: 'MC = MR', on: ['MR', 'MC'] }, { label: 'Pm', x: 0.333, y: 0.667 }],
+    areas: [{ label: 'Abnormal profit', polygon: [[0, 0.667], [0.333, 0.667], [0.333, 0.542], [0, 0.542]], color: 'rgba(0, 137, 123, 0.25)' }],
+    notes: ['The monopolist produces where MC = MR and charges the price read off the demand (AR) curve.']
+  },
+  'Kinked demand curve for oligopoly': {
+    axes: { x: 'Quantity', y: 'Costs / Revenue' },
+    curves: [
+      { type: 'kinked', label: 'D = AR' },
+      { type: 'mr', label: 'MR', points: [[0.05, 0.775], [0.45, 0.375], [0.45, 0.06], [0.475, 0]] },
+      { type: 'mc', label: 'MC1', offsetY: -0.23 },
+      { type: 'mc', label: 'MC2', offsetY: -0.15, optional: true }
+    ],
+    points: [{ label: 'P*', x: 0.45, y: 0.6 }],
+    segments: [{ from: [0.47, 0.375], to: [0.47, 0.06], label: 'MR gap' }],
+    notes: ['Rivals match price cuts but not rises, so demand is kinked at P*. MC can move within the MR gap without changing price.']
+  },
+  'Comparative advantage PPF': {
+    axes: { x: 'Good X', y: 'Good Y' },
+    curves: [
+      { type: 'ppf', label: 'Country A', points: [[0, 0.8], [0.4, 0]] },
+      { type: 'ppf', label: 'Country B', points: [[0, 0.4], [0.8, 0]], color: '#d32f2f' }
+    ],
+    notes: ['Country A gives up 2Y per unit of X; Country B only 0.5Y. B has the comparative advantage in X, A in Y.']
+  },
+  'Production possibilities with economic growth': {
+    axes: { x: 'Good X', y: 'Good Y' },
+    curves: [{ type: 'ppf', label: 'PPF1' }, { type: 'ppf', label: 'PPF2', offsetX: 0.1, offsetY: 0.1 }],
+    points: [{ label: 'A', x: 0.601, y: 0.601 }, { label: 'B', x: 0.701, y: 0.701 }],
+    notes: ['Economic growth (more or better resources) shifts the PPF outward from PPF1 to PPF2.']
+  },
+  'Labour market and minimum wage': {
+    axes: { x: 'Quantity of labour', y: 'Wage rate' },
+    curves: [{ type: 'demand', label: 'D(L)' }, { type: 'supply', label: 'S(L)' }, { type: 'priceLine', label: 'Wmin', offsetY: 0.15 }],
+    points: [{ label: 'We', on: ['D(L)', 'S(L)'] }, { label: 'Qd', on: ['D(L)', 'Wmin'] }, { label: 'Qs', on: ['S(L)', 'Wmin'] }],
+    segments: [{ from: [0.35, 0.7], to: [0.65, 0.7], label: 'Surplus of labour' }],
+    notes: ['A minimum wage above equilibrium creates a surplus of labour (unemployment) of Qs − Qd.']
+  },
+  'Lorenz curve and Gini coefficient': {
+    axes: { x: 'Cumulative % of population', y: 'Cumulative % of income' },
+    curves: [{ type: 'equality', label: 'Line of equality' }, { type: 'lorenz', label: 'Lorenz curve' }],
+    areas: [
+      { label: 'A', polygon: [[0, 0], [0.25, 0.0625], [0.5, 0.25], [0.75, 0.5625], [1, 1], [0.5, 0.5]], color: 'rgba(25, 118, 210, 0.25)' },
+      { label: 'B', polygon: [[0, 0], [1, 0], [1, 1], [0.75, 0.5625], [0.5, 0.25], [0.25, 0.0625]], color: 'rgba(0, 137, 123, 0.2)' }
+    ],
+    notes: ['Gini coefficient = A / (A + B). The further the Lorenz curve lies from the line of equality, the greater the inequality.']
+  },
+  'Poverty trap diagram': {
+    cycle: ['Low income', 'Low savings', 'Low investment', 'Low productivity'],
+    notes: ['Each stage causes the next, so poverty is self‑reinforcing unless the cycle is broken (e.g. by aid, microfinance or education).']
+  },
+  'Phillips curve (SR and LR)': {
+    axes: { x: 'Unemployment rate', y: 'Inflation rate' },
+    curves: [{ type: 'srpc', label: 'SRPC1' }, { type: 'srpc', label: 'SRPC2', offsetY: 0.19 }, { type: 'lrpc', label: 'LRPC' }],
+    points: [{ label: 'A', x: 0.5, y: 0.3 }, { label: 'B', x: 0.34, y: 0.492 }, { label: 'C', x: 0.5, y: 0.49 }],
+    notes: ['In the short run lower unemployment costs higher inflation (A → B). Expectations adjust, SRPC shifts up and unemployment returns to the natural rate on the LRPC (C).']
+  },
+  'Indifference curve and budget line': {
+    axes: { x: 'Good X', y: 'Good Y' },
+    curves: [{ type: 'budget', label: 'BL' }, { type: 'indifference', label: 'IC1', offsetY: 0.2 }, { type: 'indifference', label: 'IC2', offsetY: 0.32, optional: true }],
+    points: [{ label: 'E', x: 0.5, y: 0.5 }],
+    notes: ['The consumer maximises utility where the budget line is tangent to the highest attainable indifference curve (E).']
+  },
+  'Terms of trade improvement': {
+    axes: { x: 'Time', y: 'Index' },
+    curves: [
+      { type: 'index', label: 'Export prices', points: [[0.05, 0.5], [0.35, 0.55], [0.65, 0.7], [0.95, 0.8]], color: '#00897b' },
+      { type: 'index', label: 'Import prices', points: [[0.05, 0.5], [0.35, 0.5], [0.65, 0.53], [0.95, 0.55]], color: '#d32f2f' }
+    ],
+    notes: ['Terms of trade = (index of export prices / index of import prices) × 100. Export prices rising faster than import prices is an improvement.']
+  }
+};
+
+// Look up the model diagram for a question, first by expectedDiagram and
+// then by topic. Returns null when the library has no matching entry.
+function getDiagramSpec(question) {
+  return DIAGRAM_LIBRARY[question.expectedDiagram] || DIAGRAM_LIBRARY[question.topic] || null;
+}
+
+// Resolve points given as curve intersections into plain coordinates.
+// Unresolvable points (curves that do not meet) are dropped.
+function resolveDiagramSpec(spec) {
+  const curves = spec.curves || [];
+  const byLabel = {};
+  curves.forEach(c => { byLabel[c.label] = c; });
+  const points = [];
+  (spec.points || []).forEach(pt => {
+    if (!pt.on) {
+      points.push(pt);
+      return;
+    }
+    const a = byLabel[pt.on[0]];
+    const b = byLabel[pt.on[1]];
+    const hit = a && b ? curveIntersection(a, b) : null;
+    if (hit) points.push({ x: hit[0], y: hit[1], label: pt.label });
+  });
+  return Object.assign({}, spec, { curves: curves, points: points });
+}
+
+// Convert normalised plot coordinates to canvas pixels for a frame with
+// width, height and margin properties.
+function diagramToPixel(frame, x, y) {
+  const w = frame.width - frame.margin * 2;
+  const h = frame.height - frame.margin * 2;
+  return [frame.margin + x * w, frame.margin + (1 - y) * h];
+}
+
+// Draw a cycle diagram (e.g. the poverty trap): labelled boxes arranged in
+// a circle with arrows from each stage to the next.
+function drawCycleDiagram(ctx, frame, stages) {
+  const cx = frame.width / 2;
+  const cy = frame.height / 2;
+  const radius = Math.min(frame.width, frame.height) / 2 - 30;
+  const positions = stages.map((_, idx) => {
+    const angle = -Math.PI / 2 + (idx / stages.length) * Math.PI * 2;
+    return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+  });
+  ctx.strokeStyle = '#1976d2';
+  ctx.fillStyle = '#1976d2';
+  ctx.lineWidth = 2;
+  positions.forEach((from, idx) => {
+    const to = positions[(idx + 1) % positions.length];
+    // Shorten each arrow so it starts and ends outside the text boxes
+    const sx = from[0] + (to[0] - from[0]) * 0.3;
+    const sy = from[1] + (to[1] - from[1]) * 0.3;
+    const tx = from[0] + (to[0] - from[0]) * 0.7;
+    const ty = from[1] + (to[1] - from[1]) * 0.7;
+    ctx.beginPath();
+    ctx.moveTo(sx, sy);
+    ctx.lineTo(tx, ty);
+    ctx.stroke();
+    const angle = Math.atan2(ty - sy, tx - sx);
+    ctx.beginPath();
+    ctx.moveTo(tx, ty);
+    ctx.lineTo(tx - 8 * Math.cos(angle - 0.4), ty - 8 * Math.sin(angle - 0.4));
+    ctx.lineTo(tx - 8 * Math.cos(angle + 0.4), ty - 8 * Math.sin(angle + 0.4));
+    ctx.closePath();
+    ctx.fill();
+  });
+  ctx.font = '13px Arial';
+  positions.forEach(([x, y], idx) => {
+    const text = stages[idx];
+    const w = ctx.measureText(text).width + 12;
+    ctx.fillStyle = '#e7eef5';
+    ctx.fillRect(x - w / 2, y - 12, w, 24);
+    ctx.strokeStyle = '#1976d2';
+    ctx.strokeRect(x - w / 2, y - 12, w, 24);
+    ctx.fillStyle = '#000';
+    ctx.fillText(text, x - w / 2 + 6, y + 5);
+  });
+}
+
+// Draw a diagram spec (student drawing or model diagram) onto a 2D
+// context. The optional selected curve is drawn with a thicker line.
+function drawDiagram(ctx, frame, spec, selected) {
+  ctx.clearRect(0, 0, frame.width, frame.height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  if (spec.cycle) {
+    drawCycleDiagram(ctx, frame, spec.cycle);
+    return;
+  }
+  const toPixel = (x, y) => diagramToPixel(frame, x, y);
+  // Clip curves to the plot area so dragged curves do not cover the labels
+  const [ox, oy] = toPixel(0, 0);
+  const [ex, ey] = toPixel(1, 1);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(ox, ey, ex - ox, oy - ey);
+  ctx.clip();
+  // Shaded areas go underneath the curves
+  (spec.areas || []).forEach(area => {
+    const pts = area.polygon.map(([x, y]) => toPixel(x, y));
+    ctx.fillStyle = area.color || 'rgba(25, 118, 210, 0.25)';
+    ctx.beginPath();
+    pts.forEach(([x, y], idx) => idx === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+    ctx.closePath();
+    ctx.fill();
+    if (area.label) {
+      const cx = pts.reduce((sum, p) => sum + p[0], 0) / pts.length;
+      const cy = pts.reduce((sum, p) => sum + p[1], 0) / pts.length;
+      ctx.fillStyle = '#000';
+      ctx.font = '11px Arial';
+      ctx.fillText(area.label, cx - ctx.measureText(area.label).width / 2, cy + 4);
+    }
+  });
+  (spec.curves || []).forEach(curve => {
+    const type = DIAGRAM_CURVE_TYPES[curve.type] || {};
+    const color = curve.color || type.color || '#000';
+    const pts = diagramCurvePoints(curve).map(([x, y]) => toPixel(x, y));
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = curve === selected ? 4 : 2;
+    pts.forEach(([x, y], idx) => idx === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+    ctx.stroke();
+    const [lx, ly] = pts[pts.length - 1];
+    ctx.fillStyle = color;
+    ctx.font = '12px Arial';
+    const labelWidth = ctx.measureText(curve.label).width;
+    ctx.fillText(curve.label, Math.min(lx + 3, ex - labelWidth - 2), Math.max(ly - 3, ey + 10));
+  });
+  // Gaps such as a shortage: a double-headed bracket with a label
+  (spec.segments || []).forEach(seg => {
+    const [ax, ay] = toPixel(seg.from[0], seg.from[1]);
+    const [bx, by] = toPixel(seg.to[0], seg.to[1]);
+    ctx.strokeStyle = '#6a1b9a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(bx, by);
+    ctx.stroke();
+    [[ax, ay], [bx, by]].forEach(([x, y]) => {
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fillStyle = '#6a1b9a';
+      ctx.fill();
+    });
+    ctx.font = '11px Arial';
+    ctx.fillText(seg.label, (ax + bx) / 2 - ctx.measureText(seg.label).width / 2, Math.min(ay, by) - 5);
+  });
+  // Equilibrium points with dashed guides to both axes
+  (spec.points || []).forEach(pt => {
+    const [px, py] = toPixel(pt.x, pt.y);
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(ox, py);
+    ctx.lineTo(px, py);
+    ctx.lineTo(px, oy);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(px, py, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = '12px Arial';
+    ctx.fillText(pt.label, px + 5, py - 5);
+  });
+  ctx.restore();
+  // Axes and labels
+  const axes = spec.axes || {};
+  ctx.strokeStyle = '#000';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(ox, ey);
+  ctx.lineTo(ox, oy);
+  ctx.lineTo(ex, oy);
+  ctx.stroke();
+  ctx.fillStyle = '#000';
+  ctx.font = '12px Arial';
+  ctx.fillText(axes.y || '?', 4, ey - 8);
+  const xLabel = axes.x || '?';
+  ctx.fillText(xLabel, ex - ctx.measureText(xLabel).width, oy + 22);
+  ctx.fillText('0', ox - 12, oy + 12);
+}
+
+// Curve types that examiners treat as the same curve when grading, e.g. a
+// demand curve drawn where the model labels it MPB.
+const DIAGRAM_CURVE_FAMILIES = {
+  mpb: 'demand',
+  mpc: 'supply'
+};
+
+// Axis labels accepted in place of the model label when grading.
+const DIAGRAM_AXIS_ALIASES = {
+  'Costs / Benefits': ['Price', 'Costs / Revenue'],
+  'Costs / Revenue': ['Price'],
+  'Price': ['Costs / Revenue']
+};
+
+function diagramFamily(type) {
+  return DIAGRAM_CURVE_FAMILIES[type] || type;
+}
+
+// Signed measure of a curve's position used to compare shifts. Sloped
+// lines are measured by their horizontal displacement (so a tax that moves
+// supply up reads as a shift left), horizontal lines by height and
+// curved shapes by how far they moved outward from the origin.
+function curveShiftMeasure(curve) {
+  const shape = DIAGRAM_CURVE_TYPES[curve.type].shape;
+  const dx = curve.offsetX || 0;
+  const dy = curve.offsetY || 0;
+  const slopes = { down: -1, steepDown: -2, up: 1 };
+  if (shape in slopes) return { axis: 'h', value: dx - dy / slopes[shape] };
+  if (shape === 'vertical') return { axis: 'h', value: dx };
+  if (shape === 'horizontal') return { axis: 'v', value: dy };
+  return { axis: 'out', value: dx + dy };
+}
+
+function describeShift(axis, value) {
+  if (Math.abs(value) < 0.03) return 'did not shift';
+  const words = { h: ['right', 'left'], v: ['up', 'down'], out: ['outward', 'inward'] };
+  return 'shifted ' + (value > 0 ? words[axis][0] : words[axis][1]);
+}
+
+// Describe where point b lies relative to point a, e.g. "higher price and
+// lower quantity". Differences under the tolerance count as unchanged.
+function describeMove(a, b, axes) {
+  const yName = (axes && axes.y ? axes.y : 'price').toLowerCase();
+  const xName = (axes && axes.x ? axes.x : 'quantity').toLowerCase();
+  const word = d => Math.abs(d) < 0.015 ? 'the same' : (d > 0 ? 'higher' : 'lower');
+  return `${word(b[1] - a[1])} ${yName} and ${word(b[0] - a[0])} ${xName}`;
+}
+
+// Ray-casting test for a point inside a polygon.
+function pointInPolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > p[1]) !== (yj > p[1]) && p[0] < (xj - xi) * (p[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygonCentroid(polygon) {
+  const n = polygon.length;
+  return [polygon.reduce((sum, p) => sum + p[0], 0) / n, polygon.reduce((sum, p) => sum + p[1], 0) / n];
+}
+
+// Group curves by family. Student curves are ordered with originals
+// before shifted copies so they line up with the model order (D1, D2).
+function groupCurvesByFamily(curves, isStudent) {
+  const groups = {};
+  const ordered = isStudent
+    ? curves.slice().sort((a, b) => (a.copyOf ? 1 : 0) - (b.copyOf ? 1 : 0) || a.id - b.id)
+    : curves;
+  ordered.forEach(c => {
+    const fam = diagramFamily(c.type);
+    if (!groups[fam]) groups[fam] = [];
+    groups[fam].push(c);
+  });
+  return groups;
+}
+
+// Grade a student drawing (DiagramCanvas.getState()) against a model spec.
+// Checks axes, the curves present, the direction of each shift, the
+// marked equilibria and any shaded areas. Returns null for specs that
+// cannot be drawn on the canvas (e.g. cycle diagrams); otherwise
+// { score, checks } where score is the fraction of checks passed and each
+// check is { ok, message }.
+function gradeDiagram(drawing, spec) {
+  if (!spec || spec.cycle || !drawing) return null;
+  const checks = [];
+  const check = (ok, message) => checks.push({ ok: ok, message: message });
+  const axes = spec.axes || {};
+  // Axes
+  ['x', 'y'].forEach(axis => {
+    const expected = axes[axis];
+    const given = drawing.axes[axis];
+    const ok = given === expected || (DIAGRAM_AXIS_ALIASES[expected] || []).includes(given);
+    check(ok, ok ? `${axis.toUpperCase()}‑axis labelled ${given}` : `${axis.toUpperCase()}‑axis should be labelled ${expected}${given ? ', not ' + given : ''}`);
+  });
+  // Curves present, family by family
+  const specCurves = (spec.curves || []).filter(c => !c.optional);
+  const specGroups = groupCurvesByFamily(specCurves, false);
+  const studentGroups = groupCurvesByFamily(drawing.curves, true);
+  const counterpart = {};
+  Object.keys(specGroups).forEach(fam => {
+    const expected = specGroups[fam];
+    const given = studentGroups[fam] || [];
+    const name = DIAGRAM_CURVE_TYPES[expected[0].type].label;
+    if (given.length === expected.length) {
+      check(true, `${expected.length} ${name} curve${expected.length > 1 ? 's' : ''} drawn`);
+    } else if (given.length === 0) {
+      check(false, `Missing ${name} curve (${expected.map(c => c.label).join(', ')})`);
+    } else {
+      check(false, `Expected ${expected.length} ${name} curve${expected.length > 1 ? 's' : ''}, found ${given.length}`);
+    }
+    expected.forEach((c, idx) => { counterpart[c.label] = given[idx] || null; });
+    // Direction of each shift relative to the first curve of the family
+    expected.slice(1).forEach((c, idx) => {
+      if (c.points || expected[0].points) return;
+      const base = curveShiftMeasure(expected[0]);
+      const want = curveShiftMeasure(c).value - base.value;
+      const studentBase = given[0];
+      const studentShifted = given[idx + 1];
+      if (!studentBase || !studentShifted) return;
+      const got = curveShiftMeasure(studentShifted).value - curveShiftMeasure(studentBase).value;
+      const wantText = describeShift(base.axis, want);
+      const gotText = describeShift(base.axis, got);
+      const ok = wantText === gotText;
+      check(ok, ok ? `${c.label} ${gotText} correctly` : `${name} ${gotText}, expected it to have ${wantText}`);
+    });
+  });
+  // Equilibria: intersections in the model must be marked on the drawing,
+  // and each must lie in the right direction from the first one.
+  const resolved = [];
+  (spec.points || []).filter(pt => pt.on).forEach(pt => {
+    const a = specCurves.find(c => c.label === pt.on[0]);
+    const b = specCurves.find(c => c.label === pt.on[1]);
+    const modelHit = a && b ? curveIntersection(a, b) : null;
+    const sa = counterpart[pt.on[0]];
+    const sb = counterpart[pt.on[1]];
+    const studentHit = sa && sb ? curveIntersection(sa, sb) : null;
+    if (modelHit) resolved.push({ label: pt.label, model: modelHit, student: studentHit, drawn: Boolean(sa && sb) });
+  });
+  resolved.forEach((pt, idx) => {
+    const name = pt.label || 'the intersection';
+    if (!pt.student) {
+      check(false, pt.drawn
+        ? `${name}: the curves that should meet here do not cross in your drawing`
+        : `${name} cannot be shown until the curves that meet there are drawn`);
+      return;
+    }
+    const marked = drawing.points.some(m => Math.hypot(m.x - pt.student[0], m.y - pt.student[1]) < 0.06);
+    check(marked, marked ? `${name} marked` : `Mark the equilibrium ${name} where the curves intersect`);
+    if (idx > 0 && resolved[0].student) {
+      const want = describeMove(resolved[0].model, pt.model, axes);
+      const got = describeMove(resolved[0].student, pt.student, axes);
+      check(want === got, want === got
+        ? `${name} correctly at ${got} than ${resolved[0].label}`
+        : `${name} should be at ${want} than ${resolved[0].label}, but your drawing shows ${got}`);
+    }
+  });
+  // Shaded areas. The model area is moved by the offset between the first
+  // model and student equilibria so curves dragged as a whole still match.
+  const gradedLabels = DIAGRAM_AREA_LABELS.map(a => a.value);
+  const shift = resolved.length > 0 && resolved[0].student
+    ? [resolved[0].student[0] - resolved[0].model[0], resolved[0].student[1] - resolved[0].model[1]]
+    : [0, 0];
+  (spec.areas || []).filter(area => gradedLabels.includes(area.label)).forEach(area => {
+    const given = (drawing.areas || []).filter(a => a.label === area.label);
+    if (given.length === 0) {
+      check(false, `Shade the ${area.label.length === 1 ? 'area ' + area.label : area.label.toLowerCase()}`);
+      return;
+    }
+    const moved = area.polygon.map(([x, y]) => [x + shift[0], y + shift[1]]);
+    const ok = given.some(a => pointInPolygon(polygonCentroid(a.polygon), moved));
+    check(ok, ok ? `${area.label} shaded in the right place` : `${area.label} is shaded in the wrong place`);
+  });
+  const passed = checks.filter(c => c.ok).length;
+  return { score: checks.length > 0 ? passed / checks.length : 0, checks: checks };
+}
+
+// DiagramCanvas – a small drawing surface used by DiagramScene. Students
+// choose axis labels, add curves, drag them to shift them, duplicate a
+// curve to show a shift (D1 → D2) and click to mark equilibrium points.
+// getState() returns a plain object in normalised coordinates that is
+// stored in Session.answers and can be checked by evaluateAnswer.
+class DiagramCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.margin = 34;
+    this.axes = { x: '', y: '' };
+    this.curves = [];
+    this.points = [];
+    this.areas = [];
+    this.pendingArea = null;
+    this.selected = null;
+    this.tool = 'move';
+    this.dragging = null;
+    this.nextId = 1;
+    this.element = this.buildDom();
+    this.draw();
+  }
+  // Build the toolbar and canvas. All controls live inside one wrapper div
+  // so the caller can place it in any container.
+  buildDom() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'diagram-canvas';
+    const toolbar = document.createElement('div');
+    toolbar.className = 'diagram-toolbar';
+    // Axis label selectors
+    ['y', 'x'].forEach(axis => {
+      const select = document.createElement('select');
+      select.className = 'ui-select';
+      const empty = document.createElement('option');
+      empty.value = '';
+      empty.textContent = axis === 'y' ? 'Y‑axis label…' : 'X‑axis label…';
+      select.appendChild(empty);
+      DIAGRAM_AXIS_LABELS[axis].forEach(label => {
+        const opt = document.createElement('option');
+        opt.value = label;
+        opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.addEventListener('change', () => {
+        this.axes[axis] = select.value;
+        this.draw();
+      });
+      toolbar.appendChild(select);
+    });
+    // Curve type selector and add button
+    const curveSelect = document.createElement('select');
+    curveSelect.className = 'ui-select';
+    Object.keys(DIAGRAM_CURVE_TYPES).forEach(type => {
+      const opt = document.createElement('option');
+      opt.value = type;
+      opt.textContent = DIAGRAM_CURVE_TYPES[type].name;
+      curveSelect.appendChild(opt);
+    });
+    toolbar.appendChild(curveSelect);
+    const addBtn = this.makeToolButton('Add curve', () => this.addCurve(curveSelect.value));
+    toolbar.appendChild(addBtn);
+    toolbar.appendChild(this.makeToolButton('Shift copy', () => this.duplicateSelected()));
+    this.pointBtn = this.makeToolButton('Mark equilibrium', () => this.setTool(this.tool === 'point' ? 'move' : 'point'));
+    toolbar.appendChild(this.pointBtn);
+    // Area label selector and shading tool. Click to add corners; click the
+    // first corner again to close the shape.
+    const areaSelect = document.createElement('select');
+    areaSelect.className = 'ui-select';
+    DIAGRAM_AREA_LABELS.forEach(area => {
+      const opt = document.createElement('option');
+      opt.value = area.value;
+      opt.textContent = area.name;
+      areaSelect.appendChild(opt);
+    });
+    this.areaSelect = areaSelect;
+    toolbar.appendChild(areaSelect);
+    this.areaBtn = this.makeToolButton('Shade area', () => this.setTool(this.tool === 'area' ? 'move' : 'area'));
+    toolbar.appendChild(this.areaBtn);
+    toolbar.appendChild(this.makeToolButton('Delete', () => this.deleteSelected()));
+    toolbar.appendChild(this.makeToolButton('Clear', () => this.clear()));
+    wrapper.appendChild(toolbar);
+    // Drawing surface
+    const canvas = document.createElement('canvas');
+    canvas.width = this.width;
+    canvas.height = this.height;
+    canvas.className = 'diagram-surface';
+    wrapper.appendChild(canvas);
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    canvas.addEventListener('pointerdown', e => this.onPointerDown(e));
+    canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+    canvas.addEventListener('pointerup', () => { this.dragging = null; });
+    canvas.addEventListener('pointerleave', () => { this.dragging = null; });
+    return wrapper;
+  }
+  makeToolButton(text, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ui-tool-button';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+  setTool(tool) {
+    this.tool = tool;
+    this.pendingArea = null;
+    this.pointBtn.classList.toggle('active', tool === 'point');
+    this.areaBtn.classList.toggle('active', tool === 'area');
+    this.draw();
+  }
+  // Convert between canvas pixels and normalised plot coordinates.
+  toPlot(px, py) {
+    const w = this.width - this.margin * 2;
+    const h = this.height - this.margin * 2;
+    return [(px - this.margin) / w, 1 - (py - this.margin) / h];
+  }
+  eventToPlot(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (this.width / rect.width);
+    const py = (e.clientY - rect.top) * (this.height / rect.height);
+    return this.toPlot(px, py);
+  }
+  // Label a new curve so repeated curves of one type read D1, D2, ...
+  nextLabel(type) {
+    const base = DIAGRAM_CURVE_TYPES[type].label;
+    const sameType = this.curves.filter(c => c.type === type);
+    if (sameType.length === 0) return base;
+    if (sameType.length === 1 && sameType[0].label === base) {
+      sameType[0].label = base + '1';
+    }
+    return base + (sameType.length + 1);
+  }
+  addCurve(type) {
+    const curve = { id: this.nextId++, type: type, label: this.nextLabel(type), offsetX: 0, offsetY: 0, copyOf: null };
+    this.curves.push(curve);
+    this.selected = curve;
+    this.draw();
+    return curve;
+  }
+  // Duplicate the selected curve slightly displaced so it can be dragged
+  // to its new position; the original stays put to show the shift.
+  duplicateSelected() {
+    if (!this.selected) return;
+    const source = this.selected;
+    const copy = this.addCurve(source.type);
+    copy.offsetX = source.offsetX + 0.05;
+    copy.offsetY = source.offsetY;
+    copy.copyOf = source.id;
+    this.draw();
+  }
+  // Delete the selected curve, or the most recent shaded area when no
+  // curve is selected.
+  deleteSelected() {
+    if (this.selected) {
+      this.curves = this.curves.filter(c => c !== this.selected);
+      this.selected = null;
+    } else {
+      this.areas.pop();
+    }
+    this.draw();
+  }
+  clear() {
+    this.curves = [];
+    this.points = [];
+    this.areas = [];
+    this.pendingArea = null;
+    this.selected = null;
+    this.draw();
+  }
+  // Find the curve closest to a plot coordinate, within a small tolerance.
+  hitTest(p) {
+    let best = null;
+    let bestDist = 0.04;
+    this.curves.forEach(curve => {
+      const pts = diagramCurvePoints(curve);
+      for (let i = 0; i < pts.length - 1; i++) {
+        const d = distanceToSegment(p, pts[i], pts[i + 1]);
+        if (d < bestDist) {
+          bestDist = d;
+          best = curve;
+        }
+      }
+    });
+    return best;
+  }
+  onPointerDown(e) {
+    const p = this.eventToPlot(e);
+    if (this.tool === 'area') {
+      this.addAreaCorner(p);
+      return;
+    }
+    if (this.tool === 'point') {
+      // Clicking an existing point removes it; otherwise add a new one
+      const existing = this.points.findIndex(pt => Math.hypot(pt.x - p[0], pt.y - p[1]) < 0.03);
+      if (existing >= 0) {
+        this.points.splice(existing, 1);
+      } else {
+        this.points.push({ x: p[0], y: p[1], label: 'E' + (this.points.length + 1) });
+      }
+      this.points.forEach((pt, idx) => { pt.label = 'E' + (idx + 1); });
+      this.draw();
+      return;
+    }
+    const hit = this.hitTest(p);
+    this.selected = hit;
+    if (hit) {
+      this.dragging = { curve: hit, startX: p[0], startY: p[1], offsetX: hit.offsetX, offsetY: hit.offsetY };
+    }
+    this.draw();
+  }
+  // Add a corner to the area being shaded. Clicking near the first corner
+  // closes the shape and stores it with the label chosen in the toolbar.
+  addAreaCorner(p) {
+    if (!this.pendingArea) {
+      this.pendingArea = [];
+    }
+    const first = this.pendingArea[0];
+    if (first && this.pendingArea.length >= 3 && Math.hypot(first[0] - p[0], first[1] - p[1]) < 0.04) {
+      this.areas.push({ label: this.areaSelect.value, polygon: this.pendingArea });
+      this.pendingArea = null;
+    } else {
+      this.pendingArea.push(p);
+    }
+    this.draw();
+  }
+  onPointerMove(e) {
+    if (!this.dragging) return;
+    const p = this.eventToPlot(e);
+    const curve = this.dragging.curve;
+    curve.offsetX = this.dragging.offsetX + (p[0] - this.dragging.startX);
+    curve.offsetY = this.dragging.offsetY + (p[1] - this.dragging.startY);
+    this.draw();
+  }
+  draw() {
+    drawDiagram(this.ctx, this, { axes: this.axes, curves: this.curves, points: this.points, areas: this.areas }, this.selected);
+    // Outline of an area that is still being shaded
+    if (this.pendingArea && this.pendingArea.length > 0) {
+      const ctx = this.ctx;
+      const pts = this.pendingArea.map(([x, y]) => diagramToPixel(this, x, y));
+      ctx.strokeStyle = '#6a1b9a';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      pts.forEach(([x, y], idx) => idx === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      pts.forEach(([x, y]) => ctx.fillRect(x - 2, y - 2, 4, 4));
+    }
+  }
+  // Plain snapshot of the drawing, rounded to keep stored answers compact.
+  getState() {
+    const round = v => Math.round(v * 1000) / 1000;
+    return {
+      axes: { x: this.axes.x, y: this.axes.y },
+      curves: this.curves.map(c => ({
+        id: c.id,
+        type: c.type,
+        label: c.label,
+        offsetX: round(c.offsetX),
+        offsetY: round(c.offsetY),
+        copyOf: c.copyOf
+      })),
+      points: this.points.map(p => ({ x: round(p.x), y: round(p.y), label: p.label })),
+      areas: this.areas.map(a => ({ label: a.label, polygon: a.polygon.map(([x, y]) => [round(x), round(y)]) }))
+    };
+  }
+}
+
+// DiagramScene – player reads a scenario, draws the diagram on the in-game
+// canvas, writes an explanation and then views the correct diagram and
+// solution. Both the drawing and the explanation are stored as the answer.
 class DiagramScene extends QuestionScene {
   constructor() {
     super('diagram');
@@ -358,44 +1737,54 @@ class DiagramScene extends QuestionScene {
       wordWrap: { width: GAME_WIDTH - 100 }
     });
     this.textObjects.push(promptText);
-    // Create a DOM container for input, feedback and solution.  To avoid the "Show Solution"
-    // bug, limit the height of the solution area and enable scrolling so the next button
-    // remains visible.  The container itself can scroll if the content grows.
+    // Create a DOM container for the drawing canvas, input, feedback and solution.  To avoid
+    // the "Show Solution" bug, limit the height of the solution area and enable scrolling so
+    // the next button remains visible.  The container itself can scroll if the content grows.
+    // It starts just below the prompt so long prompts do not overlap the canvas.
+    const containerY = promptText.y + promptText.height + 10;
     const container = document.createElement('div');
-    container.style.width = '100%';
-    container.style.marginTop = '10px';
-    container.style.maxHeight = '280px';
+    container.className = 'diagram-layout';
+    container.style.width = (GAME_WIDTH - 60) + 'px';
+    container.style.maxHeight = (GAME_HEIGHT - containerY - 10) + 'px';
     container.style.overflowY = 'auto';
+    // Drawing surface on the left; explanation and controls on the right
+    const drawing = new DiagramCanvas(380, 250);
+    this.drawing = drawing;
+    container.appendChild(drawing.element);
+    const sidePanel = document.createElement('div');
+    sidePanel.className = 'diagram-side';
+    container.appendChild(sidePanel);
     // Input area for explanation
     const textarea = document.createElement('textarea');
     textarea.className = 'ui-textarea';
-    textarea.placeholder = 'Write your explanation here...';
-    container.appendChild(textarea);
+    textarea.placeholder = 'Draw the diagram, then explain it here...';
+    sidePanel.appendChild(textarea);
     // Feedback paragraph – shows correct/incorrect after answer submission
     const feedback = document.createElement('p');
     feedback.style.display = 'none';
     feedback.style.fontWeight = 'bold';
     feedback.style.marginTop = '5px';
-    container.appendChild(feedback);
+    sidePanel.appendChild(feedback);
     // Button to reveal solution. When clicked, show expected diagram and explanation.
     const revealBtn = document.createElement('button');
     revealBtn.className = 'ui-button';
     revealBtn.textContent = 'Show Solution';
-    container.appendChild(revealBtn);
+    sidePanel.appendChild(revealBtn);
     // Solution output area – hidden until reveal. Limit its height to keep next button visible.
     const solutionDiv = document.createElement('div');
     solutionDiv.style.marginTop = '10px';
     solutionDiv.style.padding = '10px';
     solutionDiv.style.border = '1px solid #ccc';
     solutionDiv.style.display = 'none';
-    solutionDiv.style.maxHeight = '180px';
+    solutionDiv.style.maxHeight = '340px';
     solutionDiv.style.overflowY = 'auto';
+    solutionDiv.style.width = '100%';
     container.appendChild(solutionDiv);
     // Next button (placed outside solution area to stay visible)
     const nextBtn = document.createElement('button');
     nextBtn.className = 'ui-button';
     nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next Question';
-    container.appendChild(nextBtn);
+    sidePanel.appendChild(nextBtn);
     // Event handlers
     revealBtn.addEventListener('click', () => {
       // Show expected diagram and explanation
@@ -409,45 +1798,28 @@ class DiagramScene extends QuestionScene {
       const exp = document.createElement('p');
       exp.textContent = 'Explanation: ' + question.solutionExplanation;
       solutionDiv.appendChild(exp);
-      // Draw a simple placeholder diagram using Chart.js
+      // Draw the model diagram for this question from the diagram library
+      const spec = getDiagramSpec(question);
+      if (!spec) {
+        const none = document.createElement('p');
+        none.textContent = 'No model diagram is available for this question yet.';
+        solutionDiv.appendChild(none);
+        return;
+      }
       const canvas = document.createElement('canvas');
-      canvas.width = 360;
-      canvas.height = 250;
+      canvas.width = 420;
+      canvas.height = 280;
       solutionDiv.appendChild(canvas);
-      const ctx = canvas.getContext('2d');
-      const data = {
-        labels: ['Q1', 'Q2', 'Q3', 'Q4'],
-        datasets: [
-          {
-            label: 'Initial Curve',
-            data: [3, 2.5, 2, 1.8],
-            borderColor: 'rgba(100, 181, 246, 1)',
-            backgroundColor: 'rgba(100, 181, 246, 0.2)',
-            fill: false
-          },
-          {
-            label: 'Shifted Curve',
-            data: [4.5, 3.5, 3, 2.8],
-            borderColor: 'rgba(220, 20, 60, 1)',
-            backgroundColor: 'rgba(220, 20, 60, 0.2)',
-            fill: false
-          }
-        ]
-      };
-      new Chart(ctx, {
-        type: 'line',
-        data: data,
-        options: {
-          plugins: { legend: { display: true } },
-          scales: {
-            x: { title: { display: true, text: 'Quantity' } },
-            y: { title: { display: true, text: 'Price' } }
-          }
-        }
+      drawDiagram(canvas.getContext('2d'), { width: canvas.width, height: canvas.height, margin: 34 }, resolveDiagramSpec(spec));
+      (spec.notes || []).forEach(note => {
+        const noteP = document.createElement('p');
+        noteP.textContent = note;
+        solutionDiv.appendChild(noteP);
       });
     });
     nextBtn.addEventListener('click', () => {
-      const answer = textarea.value.trim();
+      // The answer combines the written explanation with a snapshot of the drawing
+      const answer = { explanation: textarea.value.trim(), diagram: drawing.getState() };
       // Evaluate the answer before submitting
       const result = this.evaluateAnswer(question, answer);
       // Show feedback
@@ -456,22 +1828,29 @@ class DiagramScene extends QuestionScene {
         feedback.textContent = 'Correct!';
         feedback.style.color = '#008000';
       } else {
-        // Show which keywords were missing for diagrams
+        // Show which keywords were missing and what is wrong with the drawing
         const missing = question.keywords.filter(kw => !(result.keywordsFound || []).includes(kw));
-        feedback.textContent = 'Incorrect. Missing keywords: ' + missing.join(', ');
+        const problems = [];
+        if (missing.length > 0) problems.push('Missing keywords: ' + missing.join(', ') + '.');
+        (result.feedback || []).forEach(msg => problems.push(msg + '.'));
+        feedback.textContent = 'Incorrect. ' + problems.join(' ');
         feedback.style.color = '#d32f2f';
       }
-      // Delay slightly before moving to next question so the user can read feedback
+      // Delay before moving to the next question so the user can read feedback.
+      // Diagram feedback can run to several sentences, so allow longer.
       setTimeout(() => {
         this.handleSubmit(answer);
-      }, 800);
+      }, result.feedback && result.feedback.length > 0 ? 2500 : 800);
     });
     // Use Phaser DOMElement to integrate the container into the scene
-    this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 200, container);
+    this.domContainer = this.add.dom(GAME_WIDTH / 2, containerY, container);
+    this.domContainer.setOrigin(0.5, 0);
   }
   evaluateAnswer(question, userAnswer) {
-    // Basic keyword matching. Score is true if at least half of the keywords are present.
-    const text = userAnswer.toLowerCase();
+    // Keyword matching on the explanation. Plain strings are accepted for answers
+    // saved before the canvas.
+    const explanation = typeof userAnswer === 'string' ? userAnswer : (userAnswer.explanation || '');
+    const text = explanation.toLowerCase();
     let matched = [];
     let count = 0;
     question.keywords.forEach(kw => {
@@ -481,27 +1860,751 @@ class DiagramScene extends QuestionScene {
         matched.push(kw);
       }
     });
-    const correct = count >= Math.ceil(question.keywords.length / 2);
-    return { correct: correct, keywordsFound: matched };
+    const keywordScore = question.keywords.length > 0 ? count / question.keywords.length : 0;
+    // Grade the drawing against the model diagram where one exists. The
+    // overall score weights the drawing and the explanation equally; without
+    // a gradable model diagram the old rule applies (at least half the keywords).
+    const grade = typeof userAnswer === 'string' ? null : gradeDiagram(userAnswer.diagram, getDiagramSpec(question));
+    if (!grade) {
+      const correct = count >= Math.ceil(question.keywords.length / 2);
+      return { correct: correct, keywordsFound: matched, score: keywordScore };
+    }
+    const score = (grade.score + keywordScore) / 2;
+    const feedback = grade.checks.filter(c => !c.ok).map(c => c.message);
+    return { correct: score >= 0.7, keywordsFound: matched, score: score, feedback: feedback };
   }
 }
 
-// CalculationScene – player performs numerical calculations. Data is
-// presented, user enters an answer. Feedback is given at the end of
-// session; the scene stores user answers for later comparison.
-class CalculationScene extends QuestionScene {
-  constructor() {
-    super('calculation');
-  }
-  createQuestionUI(question) {
-    // Update progress bar
-    this.updateProgressBar();
-    // Reset text objects array for this question
-    this.textObjects = [];
-    const yStart = 120;
-    // Prompt text
-    const prompt = this.add.text(50, yStart, question.prompt, {
-      fontSize: '18px',
+// Calculation templates, one per topic. Each template generates fresh
+// data for a difficulty level, writes the prompt, computes the answer and
+// writes the worked solution, so students cannot memorise answers between
+// sessions. unit is the kind of answer expected (percent, index, ratio,
+// currency or count) and is used to spot answers in the wrong unit; scale,
+// where given, is the scale word the answer is stated in (e.g. million).
+// mistakes() lists the wrong answers that common misconceptions produce
+// so feedback can name the misconception. Templates with a parts() method
+// turn into multi-step questions whenever parts() returns intermediate
+// results: each part is answered and marked separately, with answerLabel
+// naming the final part. Level 1 uses round numbers, level 2 realistic
+// decimals and level 3 adds a twist (extra steps, negative results or
+// alternative data).
+const CALCULATION_TEMPLATES = [
+  {
+    topic: 'Multiplier',
+    unit: 'ratio',
+    generate(level) {
+      if (level === 1) return { mpc: [0.5, 0.6, 0.75, 0.8, 0.9][randomInt(0, 4)] };
+      if (level === 2) return { mpc: randomFloat(0.55, 0.9, 2) };
+      return { mps: randomFloat(0.05, 0.2, 2), mpt: randomFloat(0.1, 0.25, 2), mpm: randomFloat(0.05, 0.2, 2) };
+    },
+    prompt(d) {
+      if ('mpc' in d) return `Country X has a marginal propensity to consume (MPC) of ${d.mpc}. Calculate the simple Keynesian multiplier.`;
+      return `In Country X the marginal propensity to save is ${d.mps}, the marginal propensity to tax is ${d.mpt} and the marginal propensity to import is ${d.mpm}. Calculate the multiplier.`;
+    },
+    answer(d) {
+      return 'mpc' in d ? 1 / (1 - d.mpc) : 1 / (d.mps + d.mpt + d.mpm);
+    },
+    mistakes(d) {
+      if (!('mpc' in d)) {
+        return [{ id: 'leakageSum', value: 1 / (1 - d.mps - d.mpt - d.mpm), message: 'The leakages (MPS + MPT + MPM) go in the denominator directly – do not subtract them from 1.' }];
+      }
+      return [
+        { id: 'mpcForMps', value: 1 / d.mpc, message: 'You divided by the MPC. The multiplier is 1 / (1 − MPC), i.e. 1 / MPS.' },
+        { id: 'notInverted', value: 1 - d.mpc, message: 'You found 1 − MPC but did not take its reciprocal.' }
+      ];
+    },
+    steps(d, answer) {
+      if ('mpc' in d) {
+        return [
+          'Multiplier = 1 / (1 − MPC)',
+          `Multiplier = 1 / (1 − ${d.mpc}) = 1 / ${roundTo(1 - d.mpc, 2)}`,
+          `Multiplier = ${answer}`
+        ];
+      }
+      return [
+        'Multiplier = 1 / (MPS + MPT + MPM)',
+        `Multiplier = 1 / (${d.mps} + ${d.mpt} + ${d.mpm}) = 1 / ${roundTo(d.mps + d.mpt + d.mpm, 2)}`,
+        `Multiplier = ${answer}`
+      ];
+    }
+  },
+  {
+    topic: 'Unemployment rate',
+    unit: 'percent',
+    generate(level) {
+      if (level === 1) {
+        const labourForce = randomInt(2, 20) * 1000;
+        return { labourForce: labourForce, unemployed: labourForce * randomInt(2, 15) / 100 };
+      }
+      if (level === 2) {
+        const labourForce = randomInt(3000, 30000);
+        return { labourForce: labourForce, unemployed: Math.round(labourForce * randomFloat(0.02, 0.15, 3)) };
+      }
+      const employed = randomInt(3000, 30000);
+      return { employed: employed, unemployed: Math.round(employed * randomFloat(0.03, 0.2, 3)) };
+    },
+    prompt(d) {
+      if ('labourForce' in d) return `Country X has a labour force of ${d.labourForce} thousand people, of whom ${d.unemployed} thousand are unemployed. Calculate the unemployment rate.`;
+      return `In Country X, ${d.employed} thousand people are employed and ${d.unemployed} thousand are unemployed. Calculate the unemployment rate.`;
+    },
+    answer(d) {
+      const labourForce = 'labourForce' in d ? d.labourForce : d.employed + d.unemployed;
+      return d.unemployed / labourForce * 100;
+    },
+    mistakes(d) {
+      if ('labourForce' in d) {
+        return [{ id: 'wrongDenominator', value: d.unemployed / (d.labourForce - d.unemployed) * 100, message: 'You divided by the number employed. Divide by the whole labour force (employed + unemployed).' }];
+      }
+      return [{ id: 'wrongDenominator', value: d.unemployed / d.employed * 100, message: 'You divided by the number employed. The labour force is employed + unemployed.' }];
+    },
+    answerLabel: 'Unemployment rate (%)',
+    parts(d) {
+      if ('labourForce' in d) return [];
+      return [{ label: 'Labour force (thousands)', unit: 'count', scale: 'thousand', answer: d.employed + d.unemployed }];
+    },
+    steps(d, answer) {
+      const lines = ['Unemployment rate = (Unemployed / Labour force) × 100'];
+      if (!('labourForce' in d)) {
+        lines.push(`Labour force = Employed + Unemployed = ${d.employed} + ${d.unemployed} = ${d.employed + d.unemployed}`);
+      }
+      const labourForce = 'labourForce' in d ? d.labourForce : d.employed + d.unemployed;
+      lines.push(`Unemployment rate = (${d.unemployed} / ${labourForce}) × 100`);
+      lines.push(`Unemployment rate = ${answer}%`);
+      return lines;
+    }
+  },
+  {
+    topic: 'Economic growth rate',
+    unit: 'percent',
+    generate(level) {
+      if (level === 1) {
+        const previous = randomInt(2, 20) * 100;
+        return { realGDPPrevious: previous, realGDPCurrent: previous + previous * randomInt(1, 8) / 100 };
+      }
+      const previous = randomInt(20000, 120000);
+      // Level 3 includes recessions, so the growth rate can be negative
+      const rate = level === 2 ? randomFloat(0.5, 7, 2) : randomFloat(-5, 7, 2);
+      return { realGDPPrevious: previous, realGDPCurrent: roundTo(previous * (1 + rate / 100), 2) };
+    },
+    prompt(d) {
+      return `The real GDP of Country X was ${d.realGDPPrevious} million last year and ${d.realGDPCurrent} million this year. Calculate the economic growth rate.`;
+    },
+    answer(d) {
+      return (d.realGDPCurrent - d.realGDPPrevious) / d.realGDPPrevious * 100;
+    },
+    mistakes(d) {
+      return [{ id: 'wrongBase', value: (d.realGDPCurrent - d.realGDPPrevious) / d.realGDPCurrent * 100, message: 'You divided by this year\'s GDP. Percentage change is always measured against the earlier year.' }];
+    },
+    steps(d, answer) {
+      return [
+        'Growth rate = ((Real GDP this year − Real GDP last year) / Real GDP last year) × 100',
+        `Growth rate = ((${d.realGDPCurrent} − ${d.realGDPPrevious}) / ${d.realGDPPrevious}) × 100 = (${roundTo(d.realGDPCurrent - d.realGDPPrevious, 2)} / ${d.realGDPPrevious}) × 100`,
+        `Growth rate = ${answer}%`
+      ];
+    }
+  },
+  {
+    topic: 'Terms of trade',
+    unit: 'index',
+    generate(level) {
+      if (level === 1) return { exportPriceIndex: randomInt(80, 130), importPriceIndex: randomInt(80, 130) };
+      if (level === 2) return { exportPriceIndex: randomFloat(80, 130, 2), importPriceIndex: randomFloat(80, 130, 2) };
+      return { exportPriceChange: randomFloat(-10, 15, 1), importPriceChange: randomFloat(-10, 15, 1) };
+    },
+    prompt(d) {
+      if ('exportPriceIndex' in d) return `Country X has an export price index of ${d.exportPriceIndex.toFixed(2)} and an import price index of ${d.importPriceIndex.toFixed(2)}. Calculate the terms of trade index.`;
+      return `Since the base year (index = 100), Country X's export prices have changed by ${d.exportPriceChange}% and its import prices by ${d.importPriceChange}%. Calculate the terms of trade index.`;
+    },
+    answer(d) {
+      if ('exportPriceIndex' in d) return d.exportPriceIndex / d.importPriceIndex * 100;
+      return (100 + d.exportPriceChange) / (100 + d.importPriceChange) * 100;
+    },
+    mistakes(d) {
+      const exportIndex = 'exportPriceIndex' in d ? d.exportPriceIndex : 100 + d.exportPriceChange;
+      const importIndex = 'importPriceIndex' in d ? d.importPriceIndex : 100 + d.importPriceChange;
+      return [
+        { id: 'invertedRatio', value: importIndex / exportIndex * 100, message: 'Ratio inverted: terms of trade = export price index / import price index, not the other way round.' },
+        { id: 'missingTimes100', value: exportIndex / importIndex, message: 'You forgot to multiply by 100 – the terms of trade is an index number.' }
+      ];
+    },
+    answerLabel: 'Terms of trade index',
+    parts(d) {
+      if ('exportPriceIndex' in d) return [];
+      return [
+        { label: 'Export price index', unit: 'index', answer: 100 + d.exportPriceChange },
+        { label: 'Import price index', unit: 'index', answer: 100 + d.importPriceChange }
+      ];
+    },
+    steps(d, answer) {
+      const lines = ['Terms of trade = (Index of export prices / Index of import prices) × 100'];
+      if ('exportPriceIndex' in d) {
+        lines.push(`Terms of trade = (${d.exportPriceIndex} / ${d.importPriceIndex}) × 100`);
+      } else {
+        const fromBase = change => change < 0 ? `100 − ${-change}` : `100 + ${change}`;
+        lines.push(`Export price index = ${fromBase(d.exportPriceChange)} = ${roundTo(100 + d.exportPriceChange, 2)}; import price index = ${fromBase(d.importPriceChange)} = ${roundTo(100 + d.importPriceChange, 2)}`);
+        lines.push(`Terms of trade = (${roundTo(100 + d.exportPriceChange, 2)} / ${roundTo(100 + d.importPriceChange, 2)}) × 100`);
+      }
+      lines.push(`Terms of trade = ${answer}`);
+      return lines;
+    }
+  },
+  {
+    topic: 'Price elasticity of demand',
+    unit: 'ratio',
+    generate(level) {
+      if (level === 1) {
+        const price1 = randomInt(2, 10) * 5;
+        const quantity1 = randomInt(5, 20) * 10;
+        return { quantity1: quantity1, quantity2: quantity1 - randomInt(1, 4) * 10, price1: price1, price2: price1 + 5 };
+      }
+      const price1 = randomFloat(10, 50, 2);
+      const quantity1 = randomInt(80, 200);
+      // Level 3 mixes price falls and rises so the direction must be worked out
+      const priceUp = level === 2 || Math.random() < 0.5;
+      const price2 = roundTo(price1 * (priceUp ? randomFloat(1.05, 1.4, 2) : randomFloat(0.6, 0.95, 2)), 2);
+      const change = randomInt(5, 60);
+      return { quantity1: quantity1, quantity2: priceUp ? quantity1 - change : quantity1 + change, price1: price1, price2: price2 };
+    },
+    prompt(d) {
+      const direction = d.quantity2 < d.quantity1 ? 'decreased' : 'increased';
+      return `The quantity demanded for a good ${direction} from ${d.quantity1} units to ${d.quantity2} units when its price changed from ${d.price1} to ${d.price2}. Calculate the price elasticity of demand using the midpoint formula.`;
+    },
+    answer(d) {
+      const pctQ = (d.quantity2 - d.quantity1) / ((d.quantity1 + d.quantity2) / 2);
+      const pctP = (d.price2 - d.price1) / ((d.price1 + d.price2) / 2);
+      return pctQ / pctP;
+    },
+    mistakes(d) {
+      const pctQ = (d.quantity2 - d.quantity1) / ((d.quantity1 + d.quantity2) / 2);
+      const pctP = (d.price2 - d.price1) / ((d.price1 + d.price2) / 2);
+      return [
+        { id: 'invertedRatio', value: pctP / pctQ, message: 'Ratio inverted: PED = % change in quantity demanded / % change in price.' },
+        { id: 'notMidpoint', value: ((d.quantity2 - d.quantity1) / d.quantity1) / ((d.price2 - d.price1) / d.price1), message: 'You used the simple percentage change formula. The question asks for the midpoint method (divide by the average of the two values).' }
+      ];
+    },
+    answerLabel: 'PED',
+    parts(d) {
+      return [
+        { label: '% change in quantity demanded', unit: 'percent', answer: (d.quantity2 - d.quantity1) / ((d.quantity1 + d.quantity2) / 2) * 100 },
+        { label: '% change in price', unit: 'percent', answer: (d.price2 - d.price1) / ((d.price1 + d.price2) / 2) * 100 }
+      ];
+    },
+    steps(d, answer) {
+      const pctQ = (d.quantity2 - d.quantity1) / ((d.quantity1 + d.quantity2) / 2) * 100;
+      const pctP = (d.price2 - d.price1) / ((d.price1 + d.price2) / 2) * 100;
+      return [
+        'PED = % change in quantity demanded / % change in price (midpoint method)',
+        `% change in Qd = (${d.quantity2} − ${d.quantity1}) / ((${d.quantity1} + ${d.quantity2}) / 2) × 100 = ${roundTo(pctQ, 2)}%`,
+        `% change in P = (${d.price2} − ${d.price1}) / ((${d.price1} + ${d.price2}) / 2) × 100 = ${roundTo(pctP, 2)}%`,
+        `PED = ${roundTo(pctQ, 2)} / ${roundTo(pctP, 2)} = ${answer}`
+      ];
+    }
+  },
+  {
+    topic: 'GDP deflator',
+    unit: 'index',
+    generate(level) {
+      if (level === 1) {
+        const realGDP = randomInt(2, 20) * 1000;
+        return { nominalGDP: realGDP * randomInt(100, 130) / 100, realGDP: realGDP };
+      }
+      const realGDP = randomInt(20000, 120000);
+      // Level 3 allows deflation, so nominal GDP can be below real GDP
+      const ratio = level === 2 ? randomFloat(1.01, 1.3, 3) : randomFloat(0.85, 1.3, 3);
+      return { nominalGDP: Math.round(realGDP * ratio), realGDP: realGDP };
+    },
+    prompt(d) {
+      return `Country X has a nominal GDP of ${d.nominalGDP} million and a real GDP of ${d.realGDP} million. Calculate the GDP deflator.`;
+    },
+    answer(d) {
+      return d.nominalGDP / d.realGDP * 100;
+    },
+    mistakes(d) {
+      return [
+        { id: 'invertedRatio', value: d.realGDP / d.nominalGDP * 100, message: 'Ratio inverted: GDP deflator = nominal GDP / real GDP × 100.' },
+        { id: 'missingTimes100', value: d.nominalGDP / d.realGDP, message: 'You forgot to multiply by 100 – the GDP deflator is an index number.' }
+      ];
+    },
+    steps(d, answer) {
+      return [
+        'GDP deflator = (Nominal GDP / Real GDP) × 100',
+        `GDP deflator = (${d.nominalGDP} / ${d.realGDP}) × 100`,
+        `GDP deflator = ${answer}`
+      ];
+    }
+  },
+  {
+    topic: 'Tax revenue',
+    unit: 'currency',
+    generate(level) {
+      if (level === 1) return { quantitySold: randomInt(1, 20) * 100, taxRate: randomInt(1, 10) };
+      if (level === 2) return { quantitySold: randomInt(500, 5000), taxRate: randomFloat(0.5, 12, 2) };
+      const producerPrice = randomFloat(5, 40, 2);
+      return { quantitySold: randomInt(500, 5000), consumerPrice: roundTo(producerPrice + randomFloat(0.5, 8, 2), 2), producerPrice: producerPrice };
+    },
+    prompt(d) {
+      if ('taxRate' in d) return `Country X levies a tax of ${d.taxRate} currency units per unit on a good, and ${d.quantitySold} units are sold. Calculate the total tax revenue.`;
+      return `After a per‑unit tax is imposed on a good in Country X, consumers pay ${d.consumerPrice} and producers receive ${d.producerPrice} per unit, and ${d.quantitySold} units are sold. Calculate the total tax revenue.`;
+    },
+    answer(d) {
+      const tax = 'taxRate' in d ? d.taxRate : d.consumerPrice - d.producerPrice;
+      return tax * d.quantitySold;
+    },
+    mistakes(d) {
+      if ('taxRate' in d) return [];
+      return [{ id: 'priceForTax', value: d.consumerPrice * d.quantitySold, message: 'You multiplied the price paid by consumers by quantity. The tax per unit is the gap between the consumer and producer prices.' }];
+    },
+    answerLabel: 'Tax revenue',
+    parts(d) {
+      if ('taxRate' in d) return [];
+      return [{ label: 'Tax per unit', unit: 'currency', answer: d.consumerPrice - d.producerPrice }];
+    },
+    steps(d, answer) {
+      const lines = ['Tax revenue = Tax per unit × Quantity sold'];
+      if (!('taxRate' in d)) {
+        lines.push(`Tax per unit = Price paid by consumers − Price received by producers = ${d.consumerPrice} − ${d.producerPrice} = ${roundTo(d.consumerPrice - d.producerPrice, 2)}`);
+      }
+      const tax = 'taxRate' in d ? d.taxRate : roundTo(d.consumerPrice - d.producerPrice, 2);
+      lines.push(`Tax revenue = ${tax} × ${d.quantitySold}`);
+      lines.push(`Tax revenue = ${answer}`);
+      return lines;
+    }
+  },
+  {
+    topic: 'CPI',
+    unit: 'index',
+    generate(level) {
+      if (level === 1) {
+        const base = randomInt(4, 40) * 10;
+        return { baseBasketCost: base, currentBasketCost: roundTo(base * randomInt(101, 130) / 100, 2) };
+      }
+      const base = randomFloat(80, 400, 2);
+      // Level 3 allows the basket to become cheaper (CPI below 100)
+      const ratio = level === 2 ? randomFloat(1.01, 1.4, 3) : randomFloat(0.9, 1.4, 3);
+      return { baseBasketCost: base, currentBasketCost: roundTo(base * ratio, 2) };
+    },
+    prompt(d) {
+      return `In Country X, the cost of a basket of goods was ${d.baseBasketCost} in the base year and ${d.currentBasketCost} in the current year. Calculate the CPI.`;
+    },
+    answer(d) {
+      return d.currentBasketCost / d.baseBasketCost * 100;
+    },
+    mistakes(d) {
+      return [
+        { id: 'invertedRatio', value: d.baseBasketCost / d.currentBasketCost * 100, message: 'Ratio inverted: CPI = current basket cost / base year basket cost × 100.' },
+        { id: 'missingTimes100', value: d.currentBasketCost / d.baseBasketCost, message: 'You forgot to multiply by 100 – the CPI is an index number with the base year at 100.' }
+      ];
+    },
+    steps(d, answer) {
+      return [
+        'CPI = (Cost of basket in current year / Cost of basket in base year) × 100',
+        `CPI = (${d.currentBasketCost} / ${d.baseBasketCost}) × 100`,
+        `CPI = ${answer}`
+      ];
+    }
+  },
+  {
+    topic: 'Inflation rate',
+    unit: 'percent',
+    generate(level) {
+      if (level === 1) return { cpiLast: 100, cpiCurrent: 100 + randomInt(1, 12) };
+      const cpiLast = randomFloat(100, 150, 2);
+      // Level 3 includes deflation, so the rate can be negative
+      const rate = level === 2 ? randomFloat(0.5, 10, 2) : randomFloat(-3, 15, 2);
+      return { cpiLast: cpiLast, cpiCurrent: roundTo(cpiLast * (1 + rate / 100), 2) };
+    },
+    prompt(d) {
+      return `Country X had a CPI of ${d.cpiLast.toFixed(2)} last year and ${d.cpiCurrent.toFixed(2)} this year. Calculate the inflation rate.`;
+    },
+    answer(d) {
+      return (d.cpiCurrent - d.cpiLast) / d.cpiLast * 100;
+    },
+    mistakes(d) {
+      return [
+        { id: 'wrongBase', value: (d.cpiCurrent - d.cpiLast) / d.cpiCurrent * 100, message: 'You divided by this year\'s CPI. Inflation is the percentage change from last year\'s CPI.' },
+        { id: 'indexPointChange', value: d.cpiCurrent - d.cpiLast, message: 'You gave the change in index points. Inflation is the percentage change, so divide by last year\'s CPI and multiply by 100.' }
+      ];
+    },
+    steps(d, answer) {
+      return [
+        'Inflation rate = ((CPI this year − CPI last year) / CPI last year) × 100',
+        `Inflation rate = ((${d.cpiCurrent} − ${d.cpiLast}) / ${d.cpiLast}) × 100 = (${roundTo(d.cpiCurrent - d.cpiLast, 2)} / ${d.cpiLast}) × 100`,
+        `Inflation rate = ${answer}%`
+      ];
+    }
+  },
+  {
+    topic: 'Real GDP',
+    unit: 'currency',
+    scale: 'million',
+    generate(level) {
+      if (level === 1) return { nominalGDP: randomInt(2, 20) * 1000, GDPdeflator: [100, 110, 120, 125, 150, 200][randomInt(0, 5)] };
+      // Level 3 allows a deflator below 100, so real GDP exceeds nominal GDP
+      const deflator = level === 2 ? randomFloat(101, 140, 2) : randomFloat(85, 140, 2);
+      return { nominalGDP: randomInt(20000, 120000), GDPdeflator: deflator };
+    },
+    prompt(d) {
+      return `Country X has a nominal GDP of ${d.nominalGDP} million and a GDP deflator of ${d.GDPdeflator}. Calculate the real GDP.`;
+    },
+    answer(d) {
+      return d.nominalGDP / d.GDPdeflator * 100;
+    },
+    mistakes(d) {
+      return [
+        { id: 'multipliedDeflator', value: d.nominalGDP * d.GDPdeflator / 100, message: 'You multiplied by the deflator. To remove inflation, divide nominal GDP by the deflator and multiply by 100.' },
+        { id: 'missingTimes100', value: d.nominalGDP / d.GDPdeflator, message: 'You forgot to multiply by 100 after dividing by the deflator.' }
+      ];
+    },
+    steps(d, answer) {
+      return [
+        'Real GDP = (Nominal GDP / GDP deflator) × 100',
+        `Real GDP = (${d.nominalGDP} / ${d.GDPdeflator}) × 100`,
+        `Real GDP = ${answer} million`
+      ];
+    }
+  },
+  {
+    topic: 'Real GDP growth rate',
+    unit: 'percent',
+    generate(level) {
+      if (level === 1) {
+        const nominal = randomInt(2, 20) * 1000;
+        return { nominalGDPPrevious: nominal, deflatorPrevious: 100, nominalGDPCurrent: nominal * randomInt(105, 125) / 100, deflatorCurrent: [102, 104, 105, 110][randomInt(0, 3)] };
+      }
+      const nominal = randomInt(20000, 120000);
+      const deflator = randomFloat(100, 130, 2);
+      // Level 3 allows prices to rise faster than nominal GDP, so real growth can be negative
+      const nominalGrowth = level === 2 ? randomFloat(1.04, 1.15, 3) : randomFloat(0.97, 1.15, 3);
+      return {
+        nominalGDPPrevious: nominal,
+        deflatorPrevious: deflator,
+        nominalGDPCurrent: Math.round(nominal * nominalGrowth),
+        deflatorCurrent: roundTo(deflator * randomFloat(1.01, 1.1, 3), 2)
+      };
+    },
+    prompt(d) {
+      return `Country X's nominal GDP was ${d.nominalGDPPrevious} million last year and ${d.nominalGDPCurrent} million this year. The GDP deflator was ${d.deflatorPrevious} last year and ${d.deflatorCurrent} this year. Calculate real GDP in each year and the real economic growth rate.`;
+    },
+    answer(d) {
+      const previous = d.nominalGDPPrevious / d.deflatorPrevious * 100;
+      const current = d.nominalGDPCurrent / d.deflatorCurrent * 100;
+      return (current - previous) / previous * 100;
+    },
+    mistakes(d) {
+      return [{ id: 'nominalForReal', value: (d.nominalGDPCurrent - d.nominalGDPPrevious) / d.nominalGDPPrevious * 100, message: 'You calculated nominal growth. Convert both years to real GDP with the deflator first.' }];
+    },
+    answerLabel: 'Real growth rate (%)',
+    parts(d) {
+      return [
+        { label: 'Real GDP last year (million)', unit: 'currency', scale: 'million', answer: d.nominalGDPPrevious / d.deflatorPrevious * 100 },
+        { label: 'Real GDP this year (million)', unit: 'currency', scale: 'million', answer: d.nominalGDPCurrent / d.deflatorCurrent * 100 }
+      ];
+    },
+    steps(d, answer) {
+      const previous = roundTo(d.nominalGDPPrevious / d.deflatorPrevious * 100, 2);
+      const current = roundTo(d.nominalGDPCurrent / d.deflatorCurrent * 100, 2);
+      return [
+        'Real GDP = (Nominal GDP / GDP deflator) × 100',
+        `Real GDP last year = (${d.nominalGDPPrevious} / ${d.deflatorPrevious}) × 100 = ${previous} million`,
+        `Real GDP this year = (${d.nominalGDPCurrent} / ${d.deflatorCurrent}) × 100 = ${current} million`,
+        'Growth rate = ((Real GDP this year − Real GDP last year) / Real GDP last year) × 100',
+        `Growth rate = ((${current} − ${previous}) / ${previous}) × 100`,
+        `Growth rate = ${answer}%`
+      ];
+    }
+  }
+];
+
+// Worked solution for a calculation question: formula, substitution and
+// result. Items with their own steps (questions_full.json) keep them;
+// others are worked from the template for their topic. Returns an empty
+// array when neither is available.
+function getCalculationSteps(question) {
+  if (Array.isArray(question.steps) && question.steps.length > 0) return question.steps;
+  const template = CALCULATION_TEMPLATES.find(t => t.topic === question.topic);
+  if (!template || !question.data) return [];
+  return template.steps(question.data, question.answer);
+}
+
+// Number of static bank questions mixed into each calculation session
+// alongside the generated ones. Bank items keep their own worked steps.
+const CALCULATION_BANK_ITEMS = 5;
+
+// Build a fresh set of calculation questions for a level, one per
+// template per round, in the same shape as the static question data.
+// Multi-step questions also carry parts: [{ label, unit, scale, answer }],
+// the last part being the final answer.
+function generateCalculationQuestions(level, rounds = 1) {
+  const questions = [];
+  for (let round = 0; round < rounds; round++) {
+    CALCULATION_TEMPLATES.forEach(template => {
+      const data = template.generate(level);
+      const question = {
+        id: `GEN_CAL_L${level}_${String(questions.length + 1).padStart(4, '0')}`,
+        mode: 'calculation',
+        level: level,
+        topic: template.topic,
+        prompt: template.prompt(data),
+        data: data,
+        answer: roundTo(template.answer(data), 2),
+        unit: template.unit,
+        scale: template.scale || null,
+        generated: true
+      };
+      const intermediate = template.parts ? template.parts(data) : [];
+      if (intermediate.length > 0) {
+        question.parts = intermediate
+          .map(part => ({ label: part.label, unit: part.unit, scale: part.scale || null, answer: roundTo(part.answer, 2) }))
+          .concat([{ label: template.answerLabel, unit: template.unit, scale: question.scale, answer: question.answer }]);
+      }
+      questions.push(question);
+    });
+  }
+  return questions;
+}
+
+// Evaluate a plain arithmetic expression (numbers, + − × ÷ and brackets)
+// without using eval. Returns NaN for anything else.
+function evaluateArithmetic(expr) {
+  const tokens = expr.match(/(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?|[-+*/()]|\S/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+  // term := factor (('*' | '/') factor)*
+  function parseTerm() {
+    let value = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      value = next() === '*' ? value * parseFactor() : value / parseFactor();
+    }
+    return value;
+  }
+  // factor := '-' factor | '(' expression ')' | number
+  function parseFactor() {
+    const token = next();
+    if (token === '-') return -parseFactor();
+    if (token === '+') return parseFactor();
+    if (token === '(') {
+      const value = parseExpression();
+      return next() === ')' ? value : NaN;
+    }
+    return token !== undefined && /^[\d.]/.test(token) ? parseFloat(token) : NaN;
+  }
+  if (tokens.length === 0) return NaN;
+  const result = parseExpression();
+  return pos === tokens.length ? result : NaN;
+}
+
+// Size of each scale word a student may write after a number.
+const SCALE_FACTORS = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+// Parse a typed numeric answer. Accepts percentages ("12.5%"), currency
+// ("$1,250"), thousands separators, decimal commas ("12,5"), scale words
+// ("45,000 million"), a trailing "x" for multipliers and simple
+// expressions ("1/0.24", "(420 − 400) / 400 × 100"). Returns
+// { value, unit, scale } where unit is the unit the student wrote
+// (percent, currency, times, scale or null) and scale the scale word, if
+// any, already applied to value; or { value: NaN, error } when the text
+// cannot be read.
+function parseNumericAnswer(text) {
+  let str = String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+  if (str === '') return { value: NaN, unit: null, error: 'No answer given.' };
+  const original = String(text).trim();
+  const units = [];
+  str = str.replace(/[−–]/g, '-').replace(/×/g, '*').replace(/÷/g, '/');
+  if (/[$£€¥]|\b(usd|eur|gbp)\b/.test(str)) {
+    units.push('currency');
+    str = str.replace(/[$£€¥]|\b(usd|eur|gbp)\b/g, '');
+  }
+  if (/%|\bper ?cent\b/.test(str)) {
+    units.push('percent');
+    str = str.replace(/%|\bper ?cent\b/g, '');
+  }
+  let scale = null;
+  const scaleWord = str.match(/\b(thousand|million|billion|bn|unit)s?\b/);
+  if (scaleWord) {
+    units.push('scale');
+    scale = scaleWord[1] === 'bn' ? 'billion' : scaleWord[1] === 'unit' ? null : scaleWord[1];
+    str = str.replace(/\b(thousand|million|billion|bn|unit)s?\b/g, '');
+  }
+  if (/(\d|\))\s*(x|times)\s*$/.test(str)) {
+    units.push('times');
+    str = str.replace(/\s*(x|times)\s*$/, '');
+  }
+  // "x" between numbers is multiplication
+  str = str.replace(/(\d|\))\s*x\s*(?=[\d(.])/g, '$1*');
+  // Thousands separators first, then any remaining comma is a decimal comma
+  str = str.replace(/(\d),(?=\d{3}(\D|$))/g, '$1');
+  str = str.replace(/(\d),(\d)/g, '$1.$2');
+  str = str.replace(/\s+/g, '');
+  const value = evaluateArithmetic(str);
+  if (!isFinite(value)) return { value: NaN, unit: null, error: `Could not read “${original}” as a number.` };
+  return { value: scale ? value * SCALE_FACTORS[scale] : value, unit: units.length > 1 ? 'mixed' : (units[0] || null), scale: scale };
+}
+
+// Explain why the unit a student wrote does not fit the expected unit, or
+// return null when it fits. Leaving units out is always accepted.
+function describeUnitProblem(written, expected) {
+  if (!written || !expected) return null;
+  if (written === 'mixed') return 'The answer mixes more than one unit.';
+  const allowed = {
+    percent: ['percent'],
+    index: [],
+    ratio: ['times'],
+    currency: ['currency', 'scale'],
+    count: ['scale']
+  };
+  if ((allowed[expected] || []).includes(written)) return null;
+  const expectedText = {
+    percent: 'a percentage',
+    index: 'an index number with no units (base year = 100)',
+    ratio: 'a ratio with no units',
+    currency: 'an amount of money',
+    count: 'a number of people or units'
+  };
+  const writtenText = { percent: 'a % sign', currency: 'a currency symbol', scale: 'a quantity word', times: 'an “x”' };
+  return `Unit error: the answer should be ${expectedText[expected]}, so it should not have ${writtenText[written]}.`;
+}
+
+// Check a numeric answer against the expected value, accepting answers
+// within 1% to allow for rounding. userAnswer may be typed text or a number.
+function isNumericAnswerCorrect(userAnswer, expected) {
+  const userVal = typeof userAnswer === 'number' ? userAnswer : parseNumericAnswer(userAnswer).value;
+  const correctVal = parseFloat(expected);
+  const tolerance = Math.abs(correctVal) * 0.01;
+  return Math.abs(userVal - correctVal) <= tolerance;
+}
+
+// Check a typed answer including its unit. The value must be within 1%
+// and any unit written must fit the expected unit. expected is stated in
+// scale (e.g. 'million'), so "45 billion" matches 45000 million, but a
+// number followed by the wrong scale word is a unit error. Returns
+// { correct, value, message } where value is in the expected scale and
+// message explains a parse or unit error.
+function checkNumericAnswer(userAnswer, expected, unit, scale) {
+  const parsed = parseNumericAnswer(userAnswer);
+  if (parsed.error) return { correct: false, value: NaN, message: parsed.error };
+  const value = parsed.scale ? parsed.value / (SCALE_FACTORS[scale] || 1) : parsed.value;
+  const valueOk = isNumericAnswerCorrect(value, expected);
+  const numberOk = valueOk || (parsed.scale !== null && isNumericAnswerCorrect(parsed.value / SCALE_FACTORS[parsed.scale], expected));
+  const unitProblem = describeUnitProblem(parsed.unit, unit) ||
+    (numberOk && !valueOk ? `Unit error: the answer is ${scale ? 'in ' + scale + 's' : 'not in ' + parsed.scale + 's'}, so it should not say “${parsed.scale}”.` : null);
+  if (unitProblem) {
+    return { correct: false, value: value, message: numberOk ? unitProblem + ' The number itself is right.' : unitProblem };
+  }
+  return { correct: valueOk, value: value, message: null };
+}
+
+// Expected unit of a calculation question: its own unit, or the unit of the
+// template for its topic (static questions do not store one).
+function calculationUnit(question) {
+  if (question.unit) return question.unit;
+  const template = CALCULATION_TEMPLATES.find(t => t.topic === question.topic);
+  return template ? template.unit : null;
+}
+
+// Scale word the answer to a calculation question is stated in, found the
+// same way as its unit; null when the answer has none.
+function calculationScale(question) {
+  if ('scale' in question) return question.scale;
+  const template = CALCULATION_TEMPLATES.find(t => t.topic === question.topic);
+  return template && template.scale ? template.scale : null;
+}
+
+// Short names for misconceptions, used to group them in the summary.
+const CALCULATION_MISCONCEPTIONS = {
+  mpcForMps: 'Used MPC instead of 1 − MPC in the multiplier',
+  notInverted: 'Did not take the reciprocal for the multiplier',
+  leakageSum: 'Subtracted leakages from 1 in the multiplier',
+  wrongDenominator: 'Divided by the wrong total',
+  wrongBase: 'Measured percentage change from the wrong year',
+  invertedRatio: 'Inverted ratio',
+  missingTimes100: 'Forgot × 100 on an index',
+  notMidpoint: 'Did not use the midpoint formula',
+  priceForTax: 'Confused price with tax per unit',
+  indexPointChange: 'Gave index points instead of a percentage',
+  multipliedDeflator: 'Multiplied instead of dividing by the deflator',
+  nominalForReal: 'Used nominal instead of real values',
+  signError: 'Sign error',
+  percentDecimal: 'Confused percentage and decimal',
+  absoluteChange: 'Gave the change instead of the percentage change'
+};
+
+// Identify the misconception behind a wrong numeric answer. Topic-specific
+// mistakes from the question's template are checked for the final answer;
+// sign errors and percentage/decimal slips are checked for every answer.
+// Returns { id, label, message } or null when no known mistake matches.
+function diagnoseCalculationMistake(question, userAnswer, expected, isFinal) {
+  const userVal = typeof userAnswer === 'number' ? userAnswer : parseNumericAnswer(userAnswer).value;
+  if (isNaN(userVal) || expected === 0) return null;
+  const candidates = [];
+  const template = CALCULATION_TEMPLATES.find(t => t.topic === question.topic);
+  if (isFinal && template && template.mistakes && question.data) {
+    template.mistakes(question.data).forEach(m => candidates.push(m));
+  }
+  candidates.push({
+    id: 'signError',
+    value: -expected,
+    message: question.topic === 'Price elasticity of demand'
+      ? 'Sign error: price and quantity demanded move in opposite directions, so PED is negative.'
+      : 'Sign error: check whether the value rose or fell and which value you subtracted from which.'
+  });
+  candidates.push({ id: 'percentDecimal', value: expected / 100, message: 'You gave a decimal where a percentage or index was expected – multiply by 100.' });
+  candidates.push({ id: 'percentDecimal', value: expected * 100, message: 'You multiplied by 100 where no percentage was needed.' });
+  const match = candidates.find(c => isFinite(c.value) && !isNumericAnswerCorrect(c.value, expected) && isNumericAnswerCorrect(userVal, c.value));
+  return match ? { id: match.id, label: CALCULATION_MISCONCEPTIONS[match.id], message: match.message } : null;
+}
+
+// Normalise an entry of Session.correct to { marks, total }. Most modes
+// store a boolean; calculation questions store partial marks.
+function toMarks(entry) {
+  if (entry && typeof entry === 'object' && 'marks' in entry) return entry;
+  return { marks: entry ? 1 : 0, total: 1 };
+}
+
+// CalculationScene – player performs numerical calculations. Data is
+// presented, user enters an answer. Feedback is given at the end of
+// session; the scene stores user answers for later comparison. Questions
+// are generated from CALCULATION_TEMPLATES so the numbers change each session,
+// mixed with a sample of items from the static bank (QUESTIONS.calculation).
+class CalculationScene extends QuestionScene {
+  constructor() {
+    super('calculation');
+  }
+  loadQuestions() {
+    const bank = shuffleArray((QUESTIONS.calculation || []).slice());
+    if (!Session.adaptive) {
+      const atLevel = bank.filter(q => q.level <= Session.level);
+      return shuffleArray(generateCalculationQuestions(Session.level).concat(atLevel.slice(0, CALCULATION_BANK_ITEMS)));
+    }
+    // Adaptive sessions generate each topic at its own level and only draw
+    // bank items at or below it
+    const byLevel = {};
+    const questions = generateCalculationQuestions(Session.level).map(q => {
+      const level = adaptiveTopicLevel(Session.adaptive, q.topic);
+      if (level === q.level) return q;
+      byLevel[level] = byLevel[level] || generateCalculationQuestions(level);
+      return byLevel[level].find(g => g.topic === q.topic);
+    });
+    const suitable = bank.filter(q => q.level <= adaptiveTopicLevel(Session.adaptive, q.topic));
+    return adaptQuestions(questions.concat(suitable.slice(0, CALCULATION_BANK_ITEMS)), Session.adaptive);
+  }
+  createQuestionUI(question) {
+    // Update progress bar
+    this.updateProgressBar();
+    // Reset text objects array for this question
+    this.textObjects = [];
+    const yStart = 120;
+    // Prompt text
+    const prompt = this.add.text(50, yStart, question.prompt, {
+      fontSize: '18px',
       color: '#000000',
       wordWrap: { width: GAME_WIDTH - 100 }
     });
@@ -512,61 +2615,664 @@ class CalculationScene extends QuestionScene {
       color: '#000000'
     });
     this.textObjects.push(dataText);
-    // DOM for user input, feedback and controls
+    // DOM for user input, feedback, worked solution and controls. It starts below
+    // the data and scrolls if the worked solution makes it taller than the space left.
+    const containerY = dataText.y + dataText.height + 10;
     const container = document.createElement('div');
-    container.style.width = '100%';
-    container.style.marginTop = '10px';
-    const input = document.createElement('input');
-    input.type = 'number';
-    input.className = 'ui-input';
-    input.placeholder = 'Enter your answer';
-    container.appendChild(input);
+    container.style.width = (GAME_WIDTH - 100) + 'px';
+    container.style.maxHeight = (GAME_HEIGHT - containerY - 10) + 'px';
+    container.style.overflowY = 'auto';
+    // One input per part for multi-step questions, otherwise a single input
+    const parts = question.parts || [{ label: null, unit: calculationUnit(question), scale: calculationScale(question), answer: question.answer }];
+    const inputs = parts.map((part, idx) => {
+      const row = document.createElement('div');
+      row.className = 'calc-part';
+      if (part.label) {
+        const label = document.createElement('label');
+        label.textContent = `(${String.fromCharCode(97 + idx)}) ${part.label}`;
+        row.appendChild(label);
+      }
+      // A text input so percentages, currency and fractions can be typed
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'ui-input';
+      input.placeholder = 'Enter your answer (e.g. 12.5%, $1,250 or 1/0.24)';
+      row.appendChild(input);
+      // Per-part mark shown after checking
+      const mark = document.createElement('span');
+      mark.className = 'calc-part-mark';
+      row.appendChild(mark);
+      container.appendChild(row);
+      return { input: input, mark: mark };
+    });
     // Feedback element
     const feedback = document.createElement('p');
     feedback.style.display = 'none';
     feedback.style.fontWeight = 'bold';
     container.appendChild(feedback);
-    // Next button
+    // Unit and misconception messages – shown when a wrong answer matches a common mistake
+    const diagnosisText = document.createElement('p');
+    diagnosisText.className = 'calc-diagnosis';
+    diagnosisText.style.display = 'none';
+    container.appendChild(diagnosisText);
+    // Worked solution panel – hidden until the answer has been checked
+    const solutionPanel = document.createElement('div');
+    solutionPanel.className = 'worked-solution';
+    solutionPanel.style.display = 'none';
+    container.appendChild(solutionPanel);
+    // Check/next button. The first click checks the answer and shows the worked
+    // solution; the second click moves on, so there is time to read the working.
     const nextBtn = document.createElement('button');
     nextBtn.className = 'ui-button';
-    nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next Question';
+    nextBtn.textContent = 'Check Answer';
     container.appendChild(nextBtn);
+    let checkedValue = null;
     nextBtn.addEventListener('click', () => {
-      const value = input.value.trim();
+      if (checkedValue !== null) {
+        this.handleSubmit(checkedValue);
+        return;
+      }
+      const values = inputs.map(item => item.input.value.trim());
+      const value = question.parts ? values : values[0];
+      checkedValue = value;
+      inputs.forEach(item => { item.input.disabled = true; });
       // Evaluate answer
       const result = this.evaluateAnswer(question, value);
+      if (question.parts) {
+        result.partResults.forEach((ok, idx) => {
+          inputs[idx].mark.textContent = ok ? '✓' : '✗ ' + parts[idx].answer;
+          inputs[idx].mark.style.color = ok ? '#008000' : '#d32f2f';
+        });
+      }
       feedback.style.display = 'block';
       if (result.correct) {
-        feedback.textContent = 'Correct!';
+        feedback.textContent = question.parts ? `Correct! ${result.marks}/${result.total} marks` : 'Correct!';
         feedback.style.color = '#008000';
+      } else if (question.parts) {
+        feedback.textContent = `${result.marks}/${result.total} marks. Final answer: ${question.answer}`;
+        feedback.style.color = result.marks > 0 ? '#ef6c00' : '#d32f2f';
       } else {
         feedback.textContent = 'Incorrect. Correct answer: ' + question.answer;
         feedback.style.color = '#d32f2f';
       }
-      setTimeout(() => {
-        this.handleSubmit(value);
-      }, 800);
+      // Name any unreadable answers, unit errors and misconceptions recognised
+      const messages = result.notes.concat(result.misconceptions.map(m => m.message));
+      diagnosisText.textContent = messages.join(' ');
+      diagnosisText.style.display = messages.length > 0 ? 'block' : 'none';
+      this.showWorkedSolution(solutionPanel, question);
+      nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next Question';
     });
-    this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 160, container);
+    this.domContainer = this.add.dom(GAME_WIDTH / 2, containerY, container);
+    this.domContainer.setOrigin(0.5, 0);
+  }
+  // Fill the worked solution panel with the formula, substitution and result.
+  showWorkedSolution(panel, question) {
+    panel.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.className = 'worked-solution-title';
+    heading.textContent = 'Worked solution';
+    panel.appendChild(heading);
+    const steps = getCalculationSteps(question);
+    if (steps.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'Answer: ' + question.answer;
+      panel.appendChild(none);
+    } else {
+      const list = document.createElement('ol');
+      steps.forEach(step => {
+        const li = document.createElement('li');
+        li.textContent = step;
+        list.appendChild(li);
+      });
+      panel.appendChild(list);
+    }
+    panel.style.display = 'block';
   }
   evaluateAnswer(question, userAnswer) {
-    // Convert user answer to number if possible
-    const userVal = parseFloat(userAnswer);
-    const correctVal = parseFloat(question.answer);
-    // Accept answers within a tolerance of 1% for rounding errors
-    const tolerance = Math.abs(correctVal) * 0.01;
-    const correct = Math.abs(userVal - correctVal) <= tolerance;
-    return { correct: correct };
+    // Multi-step questions earn one mark per correct part; userAnswer is then
+    // an array with one entry per part. Each answer is parsed from text and
+    // checked against the expected unit; wrong answers are checked against
+    // common misconceptions.
+    const parts = question.parts || [{ label: null, unit: calculationUnit(question), scale: calculationScale(question), answer: question.answer }];
+    const answers = question.parts ? (Array.isArray(userAnswer) ? userAnswer : []) : [userAnswer];
+    const last = parts.length - 1;
+    const misconceptions = [];
+    const notes = [];
+    const partResults = parts.map((part, idx) => {
+      const check = checkNumericAnswer(answers[idx], part.answer, part.unit, part.scale);
+      if (check.message) {
+        notes.push(part.label ? `(${String.fromCharCode(97 + idx)}) ${check.message}` : check.message);
+      }
+      if (!check.correct && !isNaN(check.value)) {
+        const diagnosis = diagnoseCalculationMistake(question, check.value, part.answer, idx === last);
+        if (diagnosis && !misconceptions.some(m => m.id === diagnosis.id)) misconceptions.push(diagnosis);
+      }
+      return check.correct;
+    });
+    const marks = partResults.filter(ok => ok).length;
+    return { correct: marks === parts.length, marks: marks, total: parts.length, partResults: partResults, misconceptions: misconceptions, notes: notes };
   }
 }
 
+// IB Paper 1 markbands. Questions with an evaluative command term are
+// marked out of 15, the rest out of 10; each band has a short descriptor.
+const ESSAY_MARKBANDS = {
+  10: [
+    { min: 0, max: 0, descriptor: 'The answer does not reach the standard of the descriptors below.' },
+    { min: 1, max: 2, descriptor: 'Little understanding of the question; few relevant terms and no diagram or example.' },
+    { min: 3, max: 4, descriptor: 'Some understanding; some terms defined but analysis is limited.' },
+    { min: 5, max: 6, descriptor: 'Understanding of the question; relevant terms defined, a diagram and some analysis.' },
+    { min: 7, max: 8, descriptor: 'Good understanding; terms defined, diagram explained and effective analysis with an example.' },
+    { min: 9, max: 10, descriptor: 'Full understanding; precise definitions, a fully explained diagram and analysis applied to the example.' }
+  ],
+  15: [
+    { min: 0, max: 0, descriptor: 'The answer does not reach the standard of the descriptors below.' },
+    { min: 1, max: 3, descriptor: 'Little understanding of the question; few relevant terms, no diagram, example or evaluation.' },
+    { min: 4, max: 6, descriptor: 'Some understanding; some terms defined, limited analysis and little evaluation.' },
+    { min: 7, max: 9, descriptor: 'Understanding of the question; terms defined, a diagram, some analysis and evaluation.' },
+    { min: 10, max: 12, descriptor: 'Good understanding; effective analysis applied to the example and evaluation that is not fully developed.' },
+    { min: 13, max: 15, descriptor: 'Full understanding; precise analysis applied to the example and balanced, supported evaluation.' }
+  ]
+};
+
+// Command terms that ask for evaluation (Paper 1 part (b), 15 marks).
+const ESSAY_EVALUATIVE_TERMS = ['Discuss', 'Evaluate', 'Examine', 'Justify', 'To what extent', 'Compare and contrast'];
+
+// Essays shorter than this stay in the lowest markband.
+const ESSAY_MIN_WORDS = 50;
+
+// Ways of writing an essay: untimed practice, or exam conditions with a
+// countdown matching Paper 1 timing.
+const ESSAY_VARIANTS = [
+  { key: 'practice', label: 'Practice' },
+  { key: 'exam', label: 'Exam conditions (timed)' }
+];
+
+// Paper 1 allows 1 hour 15 minutes for 25 marks, i.e. 3 minutes per mark.
+const ESSAY_MINUTES_PER_MARK = 3;
+
+// Unfinished essays are kept in localStorage by question id as
+// { text, savedAt, timeLeft } and saved again every ESSAY_AUTOSAVE_MS.
+const ESSAY_DRAFTS_KEY = 'ib_econ_essay_drafts';
+const ESSAY_AUTOSAVE_MS = 10000;
+
+function loadEssayDrafts() {
+  try {
+    return JSON.parse(localStorage.getItem(ESSAY_DRAFTS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveEssayDraft(id, draft) {
+  const drafts = loadEssayDrafts();
+  drafts[id] = draft;
+  localStorage.setItem(ESSAY_DRAFTS_KEY, JSON.stringify(drafts));
+}
+
+function clearEssayDraft(id) {
+  const drafts = loadEssayDrafts();
+  delete drafts[id];
+  localStorage.setItem(ESSAY_DRAFTS_KEY, JSON.stringify(drafts));
+}
+
+function essayWordCount(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function essayMarkTotal(question) {
+  return ESSAY_EVALUATIVE_TERMS.includes(question.commandTerm) || /to what extent/i.test(question.prompt) ? 15 : 10;
+}
+
+// The case an essay is about: the place and year named in the prompt
+// ('… in Argentina in 2023'), falling back to the first keyword for
+// global topics such as COVID‑19.
+function essayContext(question) {
+  const found = question.prompt.match(/ in ([A-Z][^.,]*?) in (\d{4})/);
+  const place = found && found[1] !== 'Global' ? found[1] : question.keywords[0];
+  return { place: place, year: found ? found[2] : null, names: [place, question.keywords[0]] };
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(t => t.trim()).filter(t => t.length > 0);
+}
+
+// Number of matches of a regular expression (which must use the g flag).
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Signposts used by several checks: weighing one side against another,
+// reaching a judgement, and pointing out similarities or differences.
+const ESSAY_BALANCE = /\b(however|on the other hand|although|whereas|nevertheless|in contrast)\b/gi;
+const ESSAY_JUDGEMENT = /\b(in conclusion|overall|on balance|to (a|some) (large|great|limited) extent|most (important|significant|effective))\b/i;
+const ESSAY_SIMILARITY = /\b(both|similarly|likewise|in the same way|in common|alike|as with|just as)\b/gi;
+const ESSAY_DIFFERENCE = /\b(whereas|unlike|in contrast|differs?|different|difference|on the other hand|while)\b/gi;
+const ESSAY_CAUSAL = /\b(because|therefore|thus|hence|consequently|so that|due to|as a result|which means|this means|leads? to|leading to|results? in|resulting in|causes?|caused)\b|→/gi;
+
+// What each command term demands. demand completes the sentence
+// '"<term>" asks you to …'; skip lists rubric criteria the term does not
+// call for; check(text, question) returns { score, message } like the
+// rubric criteria.
+const ESSAY_COMMAND_TERMS = {
+  'Define': {
+    demand: 'give the precise meaning of the terms in the question',
+    skip: ['diagram', 'evaluation'],
+    check(text, question) {
+      const precise = splitSentences(text).some(sentence => /\b(is|are) (defined as|the|a|an)\b|\brefers? to\b|\bmeans\b/i.test(sentence) &&
+        sentence.split(/\s+/).length <= 40 && question.keywords.some(kw => sentence.toLowerCase().includes(kw.toLowerCase())));
+      if (precise) return { score: 2, message: 'A key term is defined in one precise sentence.' };
+      return { score: 0, message: 'Write a one‑sentence definition of each key term before anything else.' };
+    }
+  },
+  'Calculate': {
+    demand: 'obtain a numerical answer showing the working',
+    skip: ['diagram', 'evaluation'],
+    check(text) {
+      const numbers = countMatches(text, /\d+(\.\d+)?/g);
+      const working = /[=×÷*\/+−-]\s*\d/.test(text);
+      if (numbers >= 2 && working) return { score: 2, message: 'Figures and working are shown.' };
+      if (numbers >= 1) return { score: 1, message: 'Show the working that leads to your figure (e.g. "(420 − 400) / 400 × 100 = 5%").' };
+      return { score: 0, message: 'There is no numerical answer. Use figures from the case and show each step.' };
+    }
+  },
+  'Describe': {
+    demand: 'give a detailed account of the situation',
+    skip: ['evaluation'],
+    check(text, question) {
+      const sentences = splitSentences(text).length;
+      const lower = text.toLowerCase();
+      const covered = question.keywords.filter(kw => lower.includes(kw.toLowerCase())).length;
+      if (sentences >= 4 && covered >= 2) return { score: 2, message: 'The account is detailed and covers the key points.' };
+      if (sentences >= 2) return { score: 1, message: 'Add more detail: what happened, to whom and by how much.' };
+      return { score: 0, message: 'Write a fuller account covering each of the key points.' };
+    }
+  },
+  'Analyse': {
+    demand: 'break the issue down into its essential elements and link causes to effects',
+    check(text) {
+      const links = countMatches(text, ESSAY_CAUSAL);
+      if (links >= 4) return { score: 2, message: 'Causes and effects are linked step by step.' };
+      if (links >= 2) return { score: 1, message: 'Take each chain of reasoning one step further (cause → effect → consequence).' };
+      return { score: 0, message: 'Explain why each factor matters, not just what it is.' };
+    }
+  },
+  'Apply': {
+    demand: 'use economic theory to explain the given case',
+    check(text, question) {
+      const context = essayContext(question);
+      const lower = text.toLowerCase();
+      const mentions = context.names.reduce((sum, name) => sum + lower.split(name.toLowerCase()).length - 1, 0);
+      const theory = /\b(AD|AS|SRAS|LRAS)\b/.test(text) || /\b(diagram|curve|demand|supply|multiplier|elasticity|model|theory)\b/i.test(text);
+      if (mentions >= 2 && theory) return { score: 2, message: `Theory is applied to ${context.place} throughout.` };
+      if (mentions >= 1 || theory) return { score: 1, message: `Tie each theoretical point back to ${context.place}.` };
+      return { score: 0, message: `Apply a named theory or diagram to ${context.place}.` };
+    }
+  },
+  'Compare': {
+    demand: 'give an account of the similarities between the cases or groups',
+    check(text) {
+      const similarities = countMatches(text, ESSAY_SIMILARITY);
+      if (similarities >= 2) return { score: 2, message: 'Similarities are pointed out.' };
+      if (similarities === 1) return { score: 1, message: 'Point out more similarities (e.g. "Both consumers and firms …").' };
+      return { score: 0, message: 'Say what the cases have in common, using words like "both" or "similarly".' };
+    }
+  },
+  'Compare and contrast': {
+    demand: 'give an account of both the similarities and the differences',
+    check(text) {
+      const similarities = countMatches(text, ESSAY_SIMILARITY);
+      const differences = countMatches(text, ESSAY_DIFFERENCE);
+      if (similarities >= 1 && differences >= 1) return { score: 2, message: 'Both similarities and differences are covered.' };
+      if (similarities >= 1) return { score: 1, message: 'Similarities are covered; now add the differences ("whereas", "unlike").' };
+      if (differences >= 1) return { score: 1, message: 'Differences are covered; now add the similarities ("both", "similarly").' };
+      return { score: 0, message: 'Set out what is similar and what is different.' };
+    }
+  },
+  'Distinguish': {
+    demand: 'make clear the differences between the concepts or items',
+    check(text) {
+      const differences = countMatches(text, ESSAY_DIFFERENCE);
+      if (differences >= 2) return { score: 2, message: 'The differences are made clear.' };
+      if (differences === 1) return { score: 1, message: 'Make each difference explicit ("A …, whereas B …").' };
+      return { score: 0, message: 'State how the items differ, using words like "whereas" or "unlike".' };
+    }
+  },
+  'Determine': {
+    demand: 'reach the one answer that the evidence supports',
+    check(text) {
+      const paragraphs = text.split(/\n\s*\n/);
+      const last = paragraphs[paragraphs.length - 1];
+      if (ESSAY_JUDGEMENT.test(last) || /\b(therefore|thus)\b/i.test(last)) return { score: 2, message: 'A clear answer is given at the end.' };
+      if (ESSAY_JUDGEMENT.test(text)) return { score: 1, message: 'Finish with your answer, stated plainly.' };
+      return { score: 0, message: 'Give a definite answer and show the evidence that supports it.' };
+    }
+  },
+  'Discuss': {
+    demand: 'give a balanced review of a range of arguments and reach a conclusion',
+    check(text) {
+      const balance = countMatches(text, ESSAY_BALANCE);
+      const judgement = ESSAY_JUDGEMENT.test(text);
+      if (balance >= 2 && judgement) return { score: 2, message: 'Both sides are argued and a conclusion is reached.' };
+      if (balance >= 1 && judgement) return { score: 1, message: 'Develop a further counter‑argument so the review is balanced before the conclusion.' };
+      if (balance >= 1) return { score: 1, message: 'Both sides are there; end with a judgement ("On balance, …").' };
+      if (judgement) return { score: 1, message: 'The conclusion needs counter‑arguments to weigh against ("However, …").' };
+      return { score: 0, message: 'Argue for and against, then reach a supported conclusion.' };
+    }
+  },
+  'Evaluate': {
+    demand: 'weigh strengths against limitations and make a judgement',
+    check(text) {
+      const limits = /\b(limitations?|drawbacks?|weakness(es)?|however|but)\b/i.test(text);
+      const strengths = /\b(strengths?|benefits?|advantages?|effective)\b/i.test(text);
+      const judgement = ESSAY_JUDGEMENT.test(text);
+      const score = (limits && strengths ? 1 : 0) + (judgement ? 1 : 0);
+      return { score: score, message: score === 2 ? 'Strengths and limitations are weighed to a judgement.' : 'Weigh strengths against limitations and finish with a judgement.' };
+    }
+  }
+};
+ESSAY_COMMAND_TERMS['To what extent'] = ESSAY_COMMAND_TERMS['Discuss'];
+
+// Criteria of the rubric, each tied to a step of the solutionOutline by the
+// outline pattern. check(text, question) returns { score, message } with
+// score 0 (missing), 1 (partly met) or 2 (met).
+const ESSAY_CRITERIA = [
+  {
+    key: 'definitions',
+    label: 'Definitions',
+    outline: /defin/i,
+    check(text, question) {
+      const defining = /\b(is|are) (defined as|when|where|the|a|an)\b|\brefers? to\b|\bmeans\b|\bdefined as\b|\bdefinition\b/i;
+      const sentences = splitSentences(text).filter(sentence => defining.test(sentence));
+      const onKeyword = sentences.some(sentence => question.keywords.some(kw => sentence.toLowerCase().includes(kw.toLowerCase())));
+      if (sentences.length >= 2 && onKeyword) return { score: 2, message: 'Key terms are defined.' };
+      if (sentences.length >= 1) return { score: 1, message: `Define more of the key terms precisely, e.g. "${question.keywords[1] || question.keywords[0]} is …".` };
+      return { score: 0, message: 'No key terms are defined. Open by defining the terms in the question.' };
+    }
+  },
+  {
+    key: 'diagram',
+    label: 'Diagram',
+    outline: /diagram/i,
+    check(text) {
+      const named = /\b(diagram|graph|figure)\b/i.test(text);
+      const curve = /\b(AD|AS|SRAS|LRAS|MSC|MSB|MPC|MPB|MC|MR|AC|PPF)\d?\b/.test(text) || /\b(demand|supply|curve|phillips|lorenz|laffer)\b/i.test(text);
+      const movement = /\bshift(s|ed|ing)?\b|\bmov(e|es|ed|ing|ement)\b|\b(left|right)wards?\b|\bfrom [A-Z]+\d to [A-Z]+\d\b/i.test(text);
+      if (named && curve && movement) return { score: 2, message: 'A diagram is referred to and the change it shows is explained.' };
+      if (named || (curve && movement)) return { score: 1, message: 'Refer to a labelled diagram and explain what it shows, e.g. "AD shifts right from AD1 to AD2".' };
+      return { score: 0, message: 'No diagram is referred to. Include a relevant labelled diagram and explain it.' };
+    }
+  },
+  {
+    key: 'example',
+    label: 'Real‑world example',
+    outline: /background|context|example/i,
+    check(text, question) {
+      const context = essayContext(question);
+      const lower = text.toLowerCase();
+      const applied = context.names.some(name => lower.includes(name.toLowerCase()));
+      const detail = /\d/.test(text);
+      if (applied && detail) return { score: 2, message: `The answer is applied to ${context.place} with specific detail.` };
+      if (applied || detail) return { score: 1, message: `Apply the answer to ${context.place} with specific figures, dates or policies.` };
+      return { score: 0, message: `There is no real‑world example. Use the case of ${context.place}.` };
+    }
+  },
+  {
+    key: 'analysis',
+    label: 'Analysis',
+    outline: /analys/i,
+    check(text, question) {
+      const chains = countMatches(text, ESSAY_CAUSAL);
+      const lower = text.toLowerCase();
+      const missing = question.keywords.filter(kw => !lower.includes(kw.toLowerCase()));
+      const coverage = 1 - missing.length / question.keywords.length;
+      if (chains >= 3 && coverage >= 0.5) return { score: 2, message: 'Chains of reasoning link the key concepts.' };
+      const concepts = missing.length > 0 ? ` and use the key concepts: ${missing.join(', ')}` : '';
+      if (chains >= 1 || coverage >= 0.4) return { score: 1, message: `Develop the chains of reasoning (A leads to B, which causes C)${concepts}.` };
+      return { score: 0, message: `There is no analysis. Explain causes and effects step by step${concepts}.` };
+    }
+  },
+  {
+    key: 'evaluation',
+    label: 'Evaluation',
+    outline: /evaluat/i,
+    check(text) {
+      const aspects = [
+        new RegExp(ESSAY_BALANCE.source, 'i'),
+        /\b(short|long)[ ‑-](run|term)\b/i,
+        /\b(stakeholders?|consumers|firms|producers|workers|households|exporters|importers)\b/i,
+        /\b(depends on|limitations?|trade[ ‑-]?off|drawbacks?|assumes?)\b/i
+      ].filter(pattern => pattern.test(text)).length;
+      const judgement = ESSAY_JUDGEMENT.test(text);
+      if (aspects >= 2 && judgement) return { score: 2, message: 'Arguments are weighed and a judgement is reached.' };
+      if (aspects >= 1 || judgement) return { score: 1, message: 'Weigh up the arguments (short and long run, different stakeholders) and end with a justified judgement.' };
+      return { score: 0, message: 'There is no evaluation. Consider both sides and reach a supported conclusion.' };
+    }
+  }
+];
+
+// Rubric criteria that apply to a question: those with a matching step in
+// the solutionOutline, evaluation only for 15‑mark questions, and none
+// that the command term does not call for.
+function essayCriteriaFor(question) {
+  const term = ESSAY_COMMAND_TERMS[question.commandTerm];
+  const skip = term && term.skip ? term.skip : [];
+  const total = essayMarkTotal(question);
+  return ESSAY_CRITERIA.filter(c => (c.key !== 'evaluation' || total === 15) && !skip.includes(c.key) && question.solutionOutline.some(step => c.outline.test(step)));
+}
+
+// Mark an essay against the rubric criteria for the question. The command
+// term's own demand is marked as an extra criterion. Returns
+// { marks, total, band, criteria } where each criterion carries its score
+// (out of 2), message and outline step.
+function markEssay(text, question) {
+  const total = essayMarkTotal(question);
+  const term = ESSAY_COMMAND_TERMS[question.commandTerm];
+  const criteria = essayCriteriaFor(question)
+    .map(c => {
+      const result = c.check(text, question);
+      return { key: c.key, label: c.label, score: result.score, max: 2, message: result.message, outline: question.solutionOutline.find(step => c.outline.test(step)) };
+    });
+  if (term) {
+    const result = term.check(text, question);
+    const message = result.score === 2 ? `Meets "${question.commandTerm}": ${result.message}` : `"${question.commandTerm}" asks you to ${term.demand}. ${result.message}`;
+    criteria.unshift({ key: 'commandTerm', label: 'Command term', score: result.score, max: 2, message: message, outline: null });
+  }
+  const points = criteria.reduce((sum, c) => sum + c.score, 0);
+  const maxPoints = criteria.reduce((sum, c) => sum + c.max, 0);
+  let marks = maxPoints > 0 ? Math.round(points / maxPoints * total) : 0;
+  const words = essayWordCount(text);
+  if (words < ESSAY_MIN_WORDS) marks = Math.min(marks, ESSAY_MARKBANDS[total][1].max);
+  const band = ESSAY_MARKBANDS[total].find(b => marks >= b.min && marks <= b.max);
+  return { marks: marks, total: total, band: band, words: words, criteria: criteria };
+}
+
+// Essay sections, keyed like the rubric criteria. A paragraph fills a
+// section when detect(paragraph, question) is true; one paragraph may
+// fill several.
+const ESSAY_SECTIONS = {
+  definitions: {
+    label: 'Introduction with definitions',
+    detect: paragraph => /\b(is|are) (defined as|when|where|the|a|an)\b|\brefers? to\b|\bmeans\b|\bdefined as\b/i.test(paragraph)
+  },
+  diagram: {
+    label: 'Diagram explanation',
+    detect: (paragraph, question) => ESSAY_CRITERIA.find(c => c.key === 'diagram').check(paragraph, question).score > 0
+  },
+  example: {
+    label: 'Application to the case',
+    detect: (paragraph, question) => essayContext(question).names.some(name => paragraph.toLowerCase().includes(name.toLowerCase()))
+  },
+  analysis: {
+    label: 'Analysis',
+    detect: paragraph => countMatches(paragraph, ESSAY_CAUSAL) >= 2
+  },
+  evaluation: {
+    label: 'Evaluative conclusion',
+    detect: paragraph => countMatches(paragraph, ESSAY_BALANCE) > 0 || ESSAY_JUDGEMENT.test(paragraph)
+  }
+};
+
+// Split an essay into paragraphs (one per line or block of lines) and map
+// them onto the solutionOutline steps the rubric marks. Returns
+// { paragraphs, steps, notes }: each paragraph lists the section keys it
+// fills, steps follow the outline order and list the paragraphs (0‑based)
+// that fill them, and notes point out sections that are out of place.
+function analyseEssayStructure(text, question) {
+  const paragraphs = text.split(/\n+/).map(p => p.trim()).filter(p => p.length > 0)
+    .map(p => ({ text: p, sections: [] }));
+  const steps = essayCriteriaFor(question).map(c => {
+    const section = ESSAY_SECTIONS[c.key];
+    const found = [];
+    paragraphs.forEach((p, idx) => {
+      if (section.detect(p.text, question)) {
+        found.push(idx);
+        p.sections.push(c.key);
+      }
+    });
+    const order = question.solutionOutline.findIndex(step => c.outline.test(step));
+    return { key: c.key, label: section.label, step: question.solutionOutline[order], order: order, paragraphs: found };
+  }).sort((a, b) => a.order - b.order);
+  const notes = [];
+  const last = paragraphs.length - 1;
+  const definitions = steps.find(s => s.key === 'definitions');
+  const analysis = steps.find(s => s.key === 'analysis');
+  if (definitions && analysis && definitions.paragraphs.length > 0 && analysis.paragraphs.length > 0 &&
+      definitions.paragraphs[0] > analysis.paragraphs[0]) {
+    notes.push('Define the key terms in the introduction, before the analysis.');
+  }
+  const evaluation = steps.find(s => s.key === 'evaluation');
+  if (evaluation && evaluation.paragraphs.length > 0 && last > 0 && !evaluation.paragraphs.includes(last)) {
+    notes.push('End with an evaluative conclusion in its own paragraph.');
+  }
+  return { paragraphs: paragraphs, steps: steps, notes: notes };
+}
+
+// Model answer comparison shown after an essay or case sub‑question is
+// marked. The model answer is a list of points; a point is covered when
+// at least MODEL_POINT_PASS_SCORE of its key terms were written, unless
+// the caller already knows (e.g. from the essay structure).
+const MODEL_POINT_PASS_SCORE = 0.35;
+
+// Model answer points for an essay: the solutionOutline steps, then the
+// question's key terms.
+function essayModelPoints(question) {
+  return question.solutionOutline.concat('Key terms: ' + question.keywords.join(', '));
+}
+
+// Model answer points for a case sub‑question: its sample answer split
+// into clauses, joining any clause of fewer than three key terms onto the
+// one before.
+function caseModelPoints(subQ) {
+  const points = [];
+  splitSentences(subQ.answer).forEach(sentence => {
+    sentence.split(/(?<=[,;])\s+|\s+(?=(?:while|but|whereas|although)\b)/).forEach(clause => {
+      const terms = definitionWords(clause).filter(w => !DEFINITION_STOPWORDS.has(w)).length;
+      if (points.length > 0 && terms < 3 && !/[.!?]$/.test(points[points.length - 1])) {
+        points[points.length - 1] += ' ' + clause;
+      } else {
+        points.push(clause);
+      }
+    });
+  });
+  return points;
+}
+
+// Compare an answer with model answer points. Returns { points, terms }:
+// each point has its text, matched and missing words and whether it is
+// covered; terms are the canonical model terms the answer contains, used
+// to highlight the answer. covered[i], when given, overrides the key term
+// test for point i.
+function compareWithModel(userAnswer, points, covered) {
+  const terms = new Set();
+  const results = points.map((text, idx) => {
+    const match = matchDefinition(userAnswer, text);
+    match.matched.forEach(w => terms.add(canonicalTerm(w)));
+    const known = covered ? covered[idx] : undefined;
+    return {
+      text: text,
+      matched: match.matched,
+      missing: match.missing,
+      covered: known !== undefined ? known : match.score >= MODEL_POINT_PASS_SCORE
+    };
+  });
+  return { points: results, terms: terms };
+}
+
+// Build the side‑by‑side view: the answer with the concepts it shares with
+// the model highlighted, and the model points with matched concepts
+// highlighted and uncovered points flagged.
+function buildModelComparison(userAnswer, comparison) {
+  const view = document.createElement('div');
+  view.className = 'model-comparison';
+  const answerColumn = document.createElement('div');
+  answerColumn.className = 'model-column';
+  const answerTitle = document.createElement('p');
+  answerTitle.className = 'model-column-title';
+  answerTitle.textContent = 'Your answer';
+  answerColumn.appendChild(answerTitle);
+  String(userAnswer || '').split(/\n+/).filter(line => line.trim().length > 0).forEach(line => {
+    const written = highlightTerms(line, word => termMatches(canonicalTerm(word), comparison.terms), 'model-match');
+    answerColumn.appendChild(written);
+  });
+  if (!String(userAnswer || '').trim()) {
+    const empty = document.createElement('p');
+    empty.textContent = '(no answer)';
+    answerColumn.appendChild(empty);
+  }
+  view.appendChild(answerColumn);
+  const modelColumn = document.createElement('div');
+  modelColumn.className = 'model-column';
+  const modelTitle = document.createElement('p');
+  modelTitle.className = 'model-column-title';
+  const missed = comparison.points.filter(point => !point.covered).length;
+  modelTitle.textContent = `Model answer (${comparison.points.length - missed}/${comparison.points.length} points covered)`;
+  modelColumn.appendChild(modelTitle);
+  const list = document.createElement('ul');
+  comparison.points.forEach(point => {
+    const item = document.createElement('li');
+    item.className = 'model-point' + (point.covered ? '' : ' missing');
+    const matchedTerms = point.matched.map(canonicalTerm);
+    const text = highlightTerms(point.text, word => matchedTerms.includes(canonicalTerm(word)), 'model-match');
+    if (!point.covered) text.insertBefore(document.createTextNode('Not covered: '), text.firstChild);
+    item.appendChild(text);
+    list.appendChild(item);
+  });
+  modelColumn.appendChild(list);
+  view.appendChild(modelColumn);
+  return view;
+}
+
 // EssayScene – simplified paper 1 essay mode. The player writes an
-// outline answer. At the end of the session, responses are assessed
-// based on presence of key concepts. A rubric is displayed.
+// outline answer, which is marked against the IB markbands using the
+// question's solutionOutline. The mark and per‑criterion feedback are
+// shown before moving on. Drafts are autosaved, and in exam conditions
+// each essay is timed and marked as it stands when time runs out.
 class EssayScene extends QuestionScene {
   constructor() {
     super('essay');
   }
+  // Questions with an unfinished draft come first so they can be resumed.
+  loadQuestions() {
+    const drafts = loadEssayDrafts();
+    const questions = super.loadQuestions();
+    return questions.filter(q => drafts[q.id]).concat(questions.filter(q => !drafts[q.id]));
+  }
+  // Back to Menu starts another scene without going through cleanup(), so
+  // the draft is also saved when the scene shuts down.
+  create() {
+    super.create();
+    this.events.once('shutdown', () => this.cleanup());
+  }
+  // Leaving the question (or the scene) saves any unsaved text first.
+  cleanup() {
+    if (this.autosave) {
+      this.saveDraft();
+      this.autosave.remove();
+      this.autosave = null;
+    }
+    super.cleanup();
+  }
   createQuestionUI(question) {
     // Update progress bar
     this.updateProgressBar();
@@ -574,9 +3280,13 @@ class EssayScene extends QuestionScene {
     this.textObjects = [];
     const yStart = 110;
     // Display command term and topic
-    const header = this.add.text(50, yStart, `Command Term: ${question.commandTerm}\nTopic: ${question.topic}`, {
+    // Say what the command term demands alongside the term itself
+    const term = ESSAY_COMMAND_TERMS[question.commandTerm];
+    const demand = term ? ` – ${term.demand.charAt(0).toUpperCase()}${term.demand.slice(1)}` : '';
+    const header = this.add.text(50, yStart, `Command Term: ${question.commandTerm}${demand}\nTopic: ${question.topic}`, {
       fontSize: '18px',
-      color: '#000000'
+      color: '#000000',
+      wordWrap: { width: GAME_WIDTH - 100 }
     });
     this.textObjects.push(header);
     // Display context (if provided) below the header.  Showing context helps
@@ -597,73 +3307,505 @@ class EssayScene extends QuestionScene {
       wordWrap: { width: GAME_WIDTH - 100 }
     });
     this.textObjects.push(promptText);
-    // Input area with feedback and next button.  Immediate feedback is given
-    // when the user clicks Next.
+    // Input area with a live structure map, feedback and next button. The
+    // container starts below the prompt and scrolls if the rubric is long.
+    const containerY = promptText.y + promptText.height + 10;
     const container = document.createElement('div');
-    container.style.width = '100%';
-    container.style.marginTop = '10px';
+    container.style.width = (GAME_WIDTH - 60) + 'px';
+    container.style.maxHeight = (GAME_HEIGHT - containerY - 10) + 'px';
+    container.style.overflowY = 'auto';
+    const editor = document.createElement('div');
+    editor.className = 'essay-layout';
+    container.appendChild(editor);
     const textarea = document.createElement('textarea');
     textarea.className = 'ui-textarea';
-    textarea.placeholder = 'Outline your answer here...';
-    container.appendChild(textarea);
+    textarea.placeholder = 'Write your answer here, one paragraph per line: introduction and definitions, diagram, application, analysis, conclusion...';
+    editor.appendChild(textarea);
+    // Structure map: each paragraph with the outline steps it covers, and
+    // the missing steps shown where they belong. Updated as the student types.
+    const structurePanel = document.createElement('div');
+    structurePanel.className = 'essay-structure';
+    editor.appendChild(structurePanel);
+    // Live word and paragraph count, with a note when a draft was restored
+    const counter = document.createElement('p');
+    counter.className = 'essay-counter';
+    container.appendChild(counter);
+    const draft = loadEssayDrafts()[question.id];
+    if (draft) textarea.value = draft.text;
+    const restored = draft ? ` · Draft restored (saved ${new Date(draft.savedAt).toLocaleString()})` : '';
+    const refresh = () => {
+      const structure = analyseEssayStructure(textarea.value, question);
+      this.showStructure(structurePanel, structure);
+      counter.textContent = `Words: ${essayWordCount(textarea.value)} · Paragraphs: ${structure.paragraphs.length}${restored}`;
+    };
+    refresh();
+    textarea.addEventListener('input', refresh);
     const feedback = document.createElement('p');
     feedback.style.display = 'none';
     feedback.style.fontWeight = 'bold';
     container.appendChild(feedback);
+    // Rubric panel – filled in once the essay is submitted
+    const rubricPanel = document.createElement('div');
+    rubricPanel.className = 'essay-rubric';
+    rubricPanel.style.display = 'none';
+    container.appendChild(rubricPanel);
+    // Model answer comparison – also filled in on submission
+    const comparisonPanel = document.createElement('div');
+    container.appendChild(comparisonPanel);
     const nextBtn = document.createElement('button');
     nextBtn.className = 'ui-button';
-    nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next Question';
+    nextBtn.textContent = 'Submit Essay';
     container.appendChild(nextBtn);
-    nextBtn.addEventListener('click', () => {
-      const answer = textarea.value.trim();
-      const result = this.evaluateAnswer(question, answer);
+    // First click marks the essay and shows the rubric below the (now
+    // read‑only) text; the second click moves on.
+    let marked = false;
+    const mark = timedOut => {
+      marked = true;
+      this.stopCountdown();
+      clearEssayDraft(question.id);
+      const result = this.evaluateAnswer(question, textarea.value.trim());
+      textarea.readOnly = true;
       feedback.style.display = 'block';
-      if (result.correct) {
-        feedback.textContent = 'Correct!';
-        feedback.style.color = '#008000';
+      feedback.textContent = `${timedOut ? 'Time\'s up! ' : ''}Mark: ${result.marks} / ${result.total} (markband ${result.rubric.band.min}–${result.rubric.band.max})`;
+      feedback.style.color = result.correct ? '#008000' : '#d32f2f';
+      this.showRubric(rubricPanel, result.rubric);
+      comparisonPanel.appendChild(buildModelComparison(textarea.value, result.comparison));
+      nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next Question';
+    };
+    nextBtn.addEventListener('click', () => {
+      if (marked) {
+        this.handleSubmit(textarea.value.trim());
+        return;
+      }
+      mark(false);
+    });
+    this.domContainer = this.add.dom(GAME_WIDTH / 2, containerY, container);
+    this.domContainer.setOrigin(0.5, 0);
+    // Exam conditions: time allowed for the marks, resumed from a draft
+    if (Session.variant === 'exam') {
+      const seconds = draft && draft.timeLeft > 0 ? draft.timeLeft : essayMarkTotal(question) * ESSAY_MINUTES_PER_MARK * 60;
+      this.startCountdown(seconds, GAME_WIDTH - 50, 82, () => mark(true));
+    }
+    // Autosave the draft periodically, when the text area loses focus and
+    // when the question or scene is left (see cleanup)
+    let lastSaved = textarea.value;
+    const saveDraft = this.saveDraft = () => {
+      if (marked || textarea.value === lastSaved) return;
+      lastSaved = textarea.value;
+      if (textarea.value.trim() === '') {
+        clearEssayDraft(question.id);
+        return;
+      }
+      saveEssayDraft(question.id, { text: textarea.value, savedAt: Date.now(), timeLeft: this.countdown ? this.countdownRemaining : null });
+    };
+    textarea.addEventListener('blur', saveDraft);
+    this.autosave = this.time.addEvent({ delay: ESSAY_AUTOSAVE_MS, loop: true, callback: saveDraft });
+  }
+  // Draw the structure map. A missing step is placed after the last
+  // paragraph that covers an earlier step of the outline.
+  showStructure(panel, structure) {
+    panel.innerHTML = '';
+    const title = document.createElement('p');
+    title.className = 'essay-structure-title';
+    title.textContent = 'Essay structure';
+    panel.appendChild(title);
+    const missingAfter = {};
+    let position = -1;
+    structure.steps.forEach(s => {
+      if (s.paragraphs.length > 0) {
+        position = Math.max(position, ...s.paragraphs);
       } else {
-        const missing = question.keywords.filter(kw => !(result.keywordsFound || []).includes(kw));
-        feedback.textContent = 'Incorrect. Missing keywords: ' + missing.join(', ');
-        feedback.style.color = '#d32f2f';
+        (missingAfter[position] = missingAfter[position] || []).push(s);
       }
-      setTimeout(() => {
-        this.handleSubmit(answer);
-      }, 800);
     });
-    this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 170, container);
+    const addMissing = idx => (missingAfter[idx] || []).forEach(s => {
+      const block = document.createElement('div');
+      block.className = 'essay-missing';
+      block.textContent = `Missing: ${s.label} – ${s.step}`;
+      panel.appendChild(block);
+    });
+    addMissing(-1);
+    structure.paragraphs.forEach((p, idx) => {
+      const block = document.createElement('div');
+      block.className = 'essay-paragraph';
+      const labels = p.sections.map(key => ESSAY_SECTIONS[key].label);
+      const words = p.text.split(/\s+/);
+      const excerpt = words.slice(0, 8).join(' ') + (words.length > 8 ? '…' : '');
+      block.textContent = `¶${idx + 1} ${labels.length > 0 ? labels.join(' · ') : 'No outline step'} – "${excerpt}"`;
+      panel.appendChild(block);
+      addMissing(idx);
+    });
+    structure.notes.forEach(note => {
+      const block = document.createElement('div');
+      block.className = 'essay-missing';
+      block.textContent = note;
+      panel.appendChild(block);
+    });
+  }
+  // Fill the rubric panel: the band descriptor, then one line per criterion.
+  showRubric(panel, rubric) {
+    panel.innerHTML = '';
+    const descriptor = document.createElement('p');
+    descriptor.className = 'essay-rubric-band';
+    descriptor.textContent = rubric.band.descriptor;
+    panel.appendChild(descriptor);
+    const list = document.createElement('ul');
+    rubric.criteria.forEach(c => {
+      const item = document.createElement('li');
+      item.className = 'essay-criterion score-' + c.score;
+      item.textContent = `${c.label} (${c.score}/${c.max}): ${c.message}`;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+    panel.style.display = 'block';
+  }
+  evaluateAnswer(question, userAnswer) {
+    // Mark the essay against the IB markbands. Keywords from
+    // question.keywords are still recorded for the summary. An essay
+    // reaching 60% of the marks counts as correct.
+    const text = userAnswer.toLowerCase();
+    const matched = question.keywords.filter(kw => text.includes(kw.toLowerCase()));
+    const rubric = markEssay(userAnswer, question);
+    const structure = analyseEssayStructure(userAnswer, question);
+    const feedback = rubric.criteria.filter(c => c.score < c.max).map(c => `${c.label}: ${c.message}`)
+      .concat(structure.steps.filter(s => s.paragraphs.length === 0).map(s => `Structure: no paragraph for "${s.step}"`), structure.notes);
+    // Outline steps mapped to a section are covered when a paragraph fills
+    // it; the other points are compared by key terms.
+    const points = essayModelPoints(question);
+    const covered = points.map(point => {
+      const step = structure.steps.find(s => s.step === point);
+      return step ? step.paragraphs.length > 0 : undefined;
+    });
+    const comparison = compareWithModel(userAnswer, points, covered);
+    return { correct: rubric.marks >= rubric.total * 0.6, marks: rubric.marks, total: rubric.total, keywordsFound: matched, feedback: feedback, rubric: rubric, comparison: comparison };
+  }
+  getTitle() {
+    return 'Paper 1 – Essay Mode';
+  }
+}
+
+// Paper 2 mark allocation for a case sub‑question, chosen by the command
+// term that opens its prompt, and the markingCriteria it is assessed on.
+// A sub‑question may give its own marks instead.
+const CASE_COMMAND_MARKS = [
+  { pattern: /^(identify|state|list|define|calculate)\b/i, marks: 2, criteria: ['accuracy'] },
+  { pattern: /^(describe|outline)\b/i, marks: 2, criteria: ['accuracy', 'application'] },
+  { pattern: /^(discuss|evaluate|examine|justify|recommend|to what extent)\b/i, marks: 8, criteria: ['accuracy', 'application', 'analysis', 'evaluation'] },
+  { pattern: /^/, marks: 4, criteria: ['accuracy', 'application', 'analysis'] }
+];
+
+// Share of the sample answer's key terms needed for full accuracy, and
+// share of a part's marks that counts as a correct response.
+const CASE_KEY_TERM_TARGET = 0.5;
+const CASE_PASS_SHARE = 0.5;
+
+// Words of the sample answers that are not key terms, on top of
+// DEFINITION_STOPWORDS.
+const CASE_STOPWORDS = new Set([
+  'also', 'but', 'not', 'include', 'includes', 'including', 'through', 'has', 'have', 'had', 'do', 'does',
+  'one', 'two', 'both', 'other', 'factor', 'factors', 'contributing', 'example', 'potential', 'particularly'
+]);
+
+// Key terms of a case sample answer, as text for matchDefinition.
+function caseKeyTerms(text) {
+  return definitionWords(text).filter(w => !CASE_STOPWORDS.has(w)).join(' ');
+}
+
+// The place a case is about and the figures it gives (years left out),
+// used to check that answers refer to the case.
+function caseContext(question) {
+  const found = question.context.match(/^(.+?)[’']s\b/) || question.context.match(/\bin ([A-Z][\w ]*)$/);
+  const figures = new Set();
+  const text = question.backgroundText + ' ' + (question.table || []).map(row => Object.values(row).join(' ')).join(' ');
+  (text.match(/\d+(\.\d+)?/g) || []).forEach(n => { if (!/^(19|20)\d\d$/.test(n)) figures.add(n); });
+  return { place: found ? found[1] : null, figures: [...figures] };
+}
+
+// How each marking criterion is checked. check(answer, subQ, question)
+// returns { share, message } where share (0–1) is the part of the
+// criterion met.
+const CASE_CRITERIA = {
+  accuracy: {
+    label: 'Accuracy',
+    check: (answer, subQ) => {
+      const match = matchDefinition(answer, caseKeyTerms(subQ.answer));
+      const share = Math.min(1, match.score / CASE_KEY_TERM_TARGET);
+      return { share: share, message: share === 1 ? 'Covers the key points.' : `Missing key terms: ${match.missing.slice(0, 4).join(', ')}.` };
+    }
+  },
+  application: {
+    label: 'Application',
+    check: (answer, subQ, question) => {
+      const context = caseContext(question);
+      const place = context.place !== null && answer.toLowerCase().includes(context.place.toLowerCase());
+      const data = context.figures.some(n => new RegExp(`(^|[^\\d.])${n.replace('.', '\\.')}(?![\\d])`).test(answer));
+      const share = (place ? 0.5 : 0) + (data ? 0.5 : 0);
+      const message = share === 1 ? 'Refers to the case and its data.' :
+        place ? 'Quote figures from the text or table.' : data ? `Refer to ${context.place || 'the case'} by name.` :
+          `Apply the answer to ${context.place || 'the case'} using its figures.`;
+      return { share: share, message: message };
+    }
+  },
+  analysis: {
+    label: 'Analysis',
+    check: answer => {
+      const links = countMatches(answer, ESSAY_CAUSAL);
+      return {
+        share: links >= 2 ? 1 : links === 1 ? 0.5 : 0,
+        message: links >= 2 ? 'Explains the chain of cause and effect.' : 'Link cause and effect step by step (because, which leads to, therefore).'
+      };
+    }
+  },
+  evaluation: {
+    label: 'Evaluation',
+    check: answer => {
+      const balance = countMatches(answer, ESSAY_BALANCE) > 0;
+      const judgement = ESSAY_JUDGEMENT.test(answer);
+      const share = (balance ? 0.5 : 0) + (judgement ? 0.5 : 0);
+      const message = share === 1 ? 'Weighs both sides and reaches a judgement.' :
+        balance ? 'Finish with a judgement (overall, on balance).' : 'Weigh the other side (however, on the other hand).';
+      return { share: share, message: message };
+    }
   }
-  evaluateAnswer(question, userAnswer) {
-    // Evaluate essay answer: check how many keywords from question.keywords
-    // appear in the response. Award correctness if at least half found.
-    const text = userAnswer.toLowerCase();
-    let matched = [];
-    let count = 0;
-    question.keywords.forEach(kw => {
-      const k = kw.toLowerCase();
-      if (text.includes(k)) {
-        count++;
-        matched.push(kw);
-      }
-    });
-    const correct = count >= Math.ceil(question.keywords.length / 2);
-    return { correct: correct, keywordsFound: matched };
+};
+
+// Marks available for a case sub‑question and the criteria it is marked on
+// (those of its command term that the case lists in markingCriteria).
+// Numeric sub‑questions are worth 2 marks for accuracy alone.
+function caseSubQuestionMarks(subQ, question) {
+  if (subQ.type === 'numeric') return { total: subQ.marks || 2, criteria: ['accuracy'] };
+  const allocation = CASE_COMMAND_MARKS.find(a => a.pattern.test(subQ.prompt.trim()));
+  const listed = Object.keys(question.markingCriteria || {});
+  const criteria = listed.length > 0 ? allocation.criteria.filter(key => listed.includes(key)) : allocation.criteria;
+  return { total: subQ.marks || allocation.marks, criteria: criteria.length > 0 ? criteria : ['accuracy'] };
+}
+
+// Marks allocated across a case study: the sum of its sub‑question
+// allocations.
+function caseAllocatedMarks(question) {
+  return question.subQuestions.reduce((sum, subQ) => sum + caseSubQuestionMarks(subQ, question).total, 0);
+}
+
+// Total marks of a Paper 2 question. A case may give its own totalMarks.
+const CASE_PAPER_MARKS = 40;
+
+// Marks for a case out of its paper total, as { marks, total }: the
+// cases have fewer parts than the paper, so the marks earned are scaled
+// from the sum of the part allocations to the paper total.
+function casePaperMarks(marks, question) {
+  const total = question.totalMarks || CASE_PAPER_MARKS;
+  return { marks: Math.round(marks / caseAllocatedMarks(question) * total), total: total };
+}
+
+// Calculations a numeric case sub‑question can ask for. value and
+// working take the values of the referenced table cells in order;
+// mistakes lists wrong answers from common misconceptions.
+const CASE_CALCULATIONS = {
+  percentChange: {
+    unit: 'percent',
+    value: ([from, to]) => (to - from) / from * 100,
+    working: ([from, to]) => `(${to} − ${from}) ÷ ${from} × 100`,
+    mistakes: ([from, to]) => [
+      { id: 'wrongBase', value: (to - from) / to * 100, message: 'You divided by the later value. Percentage change is measured against the earlier value.' },
+      { id: 'absoluteChange', value: to - from, message: 'You gave the change itself – divide it by the earlier value and multiply by 100.' }
+    ]
+  },
+  difference: {
+    unit: null,
+    value: ([from, to]) => to - from,
+    working: ([from, to]) => `${to} − ${from}`,
+    mistakes: () => []
+  },
+  ratio: {
+    unit: 'ratio',
+    value: ([a, b]) => a / b,
+    working: ([a, b]) => `${a} ÷ ${b}`,
+    mistakes: ([a, b]) => [{ id: 'invertedRatio', value: b / a, message: 'You divided the wrong way round.' }]
+  },
+  average: {
+    unit: null,
+    value: values => values.reduce((sum, v) => sum + v, 0) / values.length,
+    working: values => `(${values.join(' + ')}) ÷ ${values.length}`,
+    mistakes: values => [{ id: 'wrongDenominator', value: values.reduce((sum, v) => sum + v, 0), message: 'Divide the total by the number of values.' }]
   }
-  getTitle() {
-    return 'Paper 1 – Essay Mode';
+};
+
+// Value of a table cell referenced by a numeric sub‑question as
+// { column, row }, where row is the year, month, country or other label
+// of the row. NaN when the cell does not exist.
+function caseCellValue(question, cell) {
+  const { labelKey } = caseTableSeries(question.table);
+  const row = question.table.find(r => Object.keys(r).some(key =>
+    (key === labelKey || CASE_LABEL_COLUMNS.test(key)) && String(r[key]) === String(cell.row)));
+  return row && typeof row[cell.column] === 'number' ? row[cell.column] : NaN;
+}
+
+// Work out a numeric sub‑question from the table. Returns { expected,
+// unit, values, text } where text is the working and answer shown as the
+// model answer. subQ.unit and subQ.decimals (default 1) override the
+// calculation's unit and rounding.
+function solveCaseCalculation(subQ, question) {
+  const calculation = CASE_CALCULATIONS[subQ.calculation];
+  const values = subQ.cells.map(cell => caseCellValue(question, cell));
+  const unit = subQ.unit !== undefined ? subQ.unit : calculation.unit;
+  const expected = roundTo(calculation.value(values), subQ.decimals !== undefined ? subQ.decimals : 1);
+  return { expected: expected, unit: unit, values: values, text: `${calculation.working(values)} = ${expected}${unit === 'percent' ? '%' : ''}` };
+}
+
+// Mark a numeric sub‑answer with the calculation checker: full marks for
+// the right value and unit, one mark less when only the unit is wrong.
+// Returns the same shape as markCaseAnswer plus misconceptions and the
+// solution.
+function markCaseCalculation(answer, subQ, question) {
+  const total = caseSubQuestionMarks(subQ, question).total;
+  const solution = solveCaseCalculation(subQ, question);
+  const check = checkNumericAnswer(answer, solution.expected, solution.unit);
+  const valueOk = !isNaN(check.value) && isNumericAnswerCorrect(check.value, solution.expected);
+  const marks = check.correct ? total : valueOk ? total - 1 : 0;
+  let mistake = null;
+  if (!valueOk && !isNaN(check.value)) {
+    const known = CASE_CALCULATIONS[subQ.calculation].mistakes(solution.values)
+      .find(c => isFinite(c.value) && !isNumericAnswerCorrect(c.value, solution.expected) && isNumericAnswerCorrect(check.value, c.value));
+    mistake = known ? { id: known.id, label: CALCULATION_MISCONCEPTIONS[known.id], message: known.message } :
+      diagnoseCalculationMistake(question, check.value, solution.expected, false);
+  }
+  const message = check.correct ? 'Correct calculation.' : check.message || (mistake ? mistake.message : 'Check your working against the model answer.');
+  const descriptor = (question.markingCriteria || {}).accuracy || '';
+  return {
+    marks: marks,
+    total: total,
+    matched: [],
+    criteria: [{ key: 'accuracy', label: 'Accuracy', descriptor: descriptor, share: marks / total, message: message }],
+    misconceptions: mistake ? [mistake] : [],
+    solution: solution
+  };
+}
+
+// Mark a case sub‑answer. The marks available are shared equally between
+// its criteria. Returns { marks, total, matched, criteria } where matched
+// lists the sample answer's key terms found and each criterion has its
+// key, label, descriptor from markingCriteria, share and message.
+function markCaseAnswer(answer, subQ, question) {
+  if (subQ.type === 'numeric') return markCaseCalculation(answer, subQ, question);
+  const allocation = caseSubQuestionMarks(subQ, question);
+  const descriptors = question.markingCriteria || {};
+  const criteria = allocation.criteria.map(key => {
+    const result = answer ? CASE_CRITERIA[key].check(answer, subQ, question) : { share: 0, message: 'No answer given.' };
+    return { key: key, label: CASE_CRITERIA[key].label, descriptor: descriptors[key] || '', share: result.share, message: result.message };
+  });
+  const share = criteria.reduce((sum, c) => sum + c.share, 0) / criteria.length;
+  return { marks: Math.round(share * allocation.total), total: allocation.total, matched: matchDefinition(answer, caseKeyTerms(subQ.answer)).matched, criteria: criteria };
+}
+
+// Columns of a case table that give the time or place of a row rather
+// than a data series.
+const CASE_LABEL_COLUMNS = /^(year|month|quarter|country|region)$/i;
+
+// Colours of the plotted series, in order.
+const CASE_CHART_COLOURS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2'];
+
+// Split a case table into the column labelling the rows (the first text
+// column, otherwise the first column) and the numeric series that can be
+// plotted against it.
+function caseTableSeries(table) {
+  const keys = Object.keys(table[0]);
+  const numeric = key => table.every(row => typeof row[key] === 'number');
+  const labelKey = keys.find(key => !numeric(key)) || keys[0];
+  const series = keys.filter(key => key !== labelKey && numeric(key) && !CASE_LABEL_COLUMNS.test(key));
+  return { labelKey: labelKey, series: series };
+}
+
+// Unit suffixes of case table column names and how they are shown.
+const CASE_COLUMN_UNITS = [
+  ['PercentOfBudget', '(% of budget)'], ['Percent', '(%)'], ['USDbn', '(USD bn)'], ['EuroMWh', '(€/MWh)'],
+  ['Euro', '(€)'], ['Naira', '(naira)'], ['Mn', '(mn)']
+];
+
+// 'ExchangeRate' → 'Exchange Rate', 'GDPGrowthPercent' → 'GDP Growth (%)'.
+function formatColumnName(key) {
+  const unit = CASE_COLUMN_UNITS.find(([suffix]) => key.endsWith(suffix) && key.length > suffix.length);
+  const name = (unit ? key.slice(0, -unit[0].length) : key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+  return unit ? name + ' ' + unit[1] : name;
+}
+
+// Highlights of case extracts, kept in localStorage by case id as a list
+// of { start, end, note } with character offsets into backgroundText.
+const CASE_ANNOTATIONS_KEY = 'ib_econ_case_annotations';
+
+function loadCaseAnnotations(caseId) {
+  try {
+    return (JSON.parse(localStorage.getItem(CASE_ANNOTATIONS_KEY)) || {})[caseId] || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCaseAnnotations(caseId, annotations) {
+  let all;
+  try {
+    all = JSON.parse(localStorage.getItem(CASE_ANNOTATIONS_KEY)) || {};
+  } catch (e) {
+    all = {};
   }
+  if (annotations.length > 0) {
+    all[caseId] = annotations;
+  } else {
+    delete all[caseId];
+  }
+  localStorage.setItem(CASE_ANNOTATIONS_KEY, JSON.stringify(all));
+}
+
+// Add a highlight to a list of annotations. Highlights it overlaps are
+// merged into it, keeping their notes. Returns the new list sorted by
+// position.
+function addCaseAnnotation(annotations, start, end, note) {
+  const merged = { start: start, end: end, note: note };
+  const kept = [];
+  annotations.forEach(a => {
+    if (a.start < merged.end && a.end > merged.start) {
+      merged.start = Math.min(merged.start, a.start);
+      merged.end = Math.max(merged.end, a.end);
+      merged.note = [a.note, merged.note].filter(n => n).join('; ');
+    } else {
+      kept.push(a);
+    }
+  });
+  return kept.concat(merged).sort((a, b) => a.start - b.start);
+}
+
+// Offsets of the text selected inside element, trimmed of surrounding
+// spaces, as { start, end }; null when nothing inside it is selected.
+function selectionOffsets(element) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+  const range = selection.getRangeAt(0);
+  if (!element.contains(range.startContainer) || !element.contains(range.endContainer)) return null;
+  const before = document.createRange();
+  before.selectNodeContents(element);
+  before.setEnd(range.startContainer, range.startOffset);
+  const selected = range.toString();
+  const start = before.toString().length + (selected.length - selected.trimStart().length);
+  const end = start + selected.trim().length;
+  return end > start ? { start: start, end: end } : null;
 }
 
 // CaseStudyScene – simplified paper 2 mode. Presents a scenario with data
-// and sub‑questions. The user responds to each part. At the end of the
-// session, answers are evaluated qualitatively by keyword presence.
+// and sub‑questions. The user responds to each part, which is marked out
+// of its allocation against the case's markingCriteria; the case total is
+// reported out of the paper's total marks.
 class CaseStudyScene extends QuestionScene {
   constructor() {
     super('case');
   }
-  // Override cleanup to destroy case text container as well
+  // Override cleanup to destroy case text container and chart as well
   cleanup() {
     // Call base cleanup to destroy domContainer and text objects
     super.cleanup();
+    if (this.caseChart) {
+      this.caseChart.destroy();
+      this.caseChart = null;
+    }
     // Destroy case text DOM element if it exists
     if (this.caseDom) {
       this.caseDom.destroy();
@@ -689,11 +3831,16 @@ class CaseStudyScene extends QuestionScene {
     ctxP.style.fontWeight = 'bold';
     ctxP.textContent = 'Context: ' + question.context;
     caseContainer.appendChild(ctxP);
-    // Background paragraph
+    // Background paragraph. The extract itself can be highlighted and
+    // annotated; the highlights stay while each part is answered.
     const bgP = document.createElement('p');
     bgP.style.fontSize = '16px';
-    bgP.textContent = 'Background: ' + question.backgroundText;
+    bgP.appendChild(document.createTextNode('Background: '));
+    const extract = document.createElement('span');
+    extract.className = 'case-extract';
+    bgP.appendChild(extract);
     caseContainer.appendChild(bgP);
+    caseContainer.appendChild(this.createAnnotationTools(question, extract));
     // Table if present
     if (question.table && question.table.length > 0) {
       const table = document.createElement('table');
@@ -722,7 +3869,13 @@ class CaseStudyScene extends QuestionScene {
         });
         table.appendChild(tr);
       });
-      caseContainer.appendChild(table);
+      // The table sits beside an optional chart of its numeric series
+      const dataRow = document.createElement('div');
+      dataRow.className = 'case-data';
+      dataRow.appendChild(table);
+      const chartPanel = this.createChartPanel(question.table);
+      if (chartPanel) dataRow.appendChild(chartPanel);
+      caseContainer.appendChild(dataRow);
     }
     // Add to scene.  Use add.dom to position at left margin.  We save a reference
     // so it can be destroyed in cleanup() when moving to another case.
@@ -733,6 +3886,182 @@ class CaseStudyScene extends QuestionScene {
     this.question = question;
     this.createSubQuestionUI();
   }
+  // Highlight and note controls for the case extract, with the list of
+  // notes made so far. Annotations are saved per case id as they change.
+  createAnnotationTools(question, extract) {
+    let annotations = loadCaseAnnotations(question.id);
+    // The selection is remembered when it is made, as clicking a button
+    // can clear it
+    let selected = null;
+    const remember = () => { selected = selectionOffsets(extract); };
+    extract.addEventListener('mouseup', remember);
+    extract.addEventListener('keyup', remember);
+    const tools = document.createElement('div');
+    tools.className = 'case-annotate';
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.className = 'ui-input';
+    noteInput.placeholder = 'Note for the selected text (optional)';
+    tools.appendChild(noteInput);
+    const highlightBtn = document.createElement('button');
+    highlightBtn.className = 'ui-button';
+    highlightBtn.textContent = 'Highlight';
+    tools.appendChild(highlightBtn);
+    const usage = 'Select text in the extract, then click Highlight. Click a highlight without a note to remove it.';
+    const hint = document.createElement('span');
+    hint.className = 'case-annotate-hint';
+    hint.textContent = usage;
+    tools.appendChild(hint);
+    const notesList = document.createElement('ul');
+    notesList.className = 'case-notes';
+    tools.appendChild(notesList);
+    // Redraw the extract with its highlights, and the list of notes
+    const render = () => {
+      const text = question.backgroundText;
+      extract.innerHTML = '';
+      notesList.innerHTML = '';
+      let position = 0;
+      annotations.forEach((a, idx) => {
+        extract.appendChild(document.createTextNode(text.slice(position, a.start)));
+        const mark = document.createElement('mark');
+        mark.className = 'case-highlight';
+        mark.textContent = text.slice(a.start, a.end);
+        extract.appendChild(mark);
+        if (a.note) {
+          // The note number is drawn by CSS from data-note, keeping it out
+          // of the text that selectionOffsets counts
+          mark.title = a.note;
+          mark.dataset.note = idx + 1;
+          const item = document.createElement('li');
+          item.textContent = `${idx + 1}. “${text.slice(a.start, a.end)}” – ${a.note} `;
+          notesList.appendChild(item);
+          item.appendChild(removeButton(idx));
+        }
+        position = a.end;
+      });
+      extract.appendChild(document.createTextNode(text.slice(position)));
+    };
+    // Button removing annotation idx
+    const removeButton = idx => {
+      const btn = document.createElement('button');
+      btn.className = 'case-note-remove';
+      btn.textContent = '×';
+      btn.title = 'Remove highlight';
+      btn.addEventListener('click', () => {
+        annotations = annotations.filter((a, i) => i !== idx);
+        saveCaseAnnotations(question.id, annotations);
+        render();
+      });
+      return btn;
+    };
+    // Clicking a highlight without a note removes it
+    extract.addEventListener('click', event => {
+      const marks = [...extract.querySelectorAll('mark')];
+      const idx = marks.indexOf(event.target);
+      if (idx >= 0 && !annotations[idx].note && !selectionOffsets(extract)) {
+        annotations = annotations.filter((a, i) => i !== idx);
+        saveCaseAnnotations(question.id, annotations);
+        render();
+      }
+    });
+    highlightBtn.addEventListener('click', () => {
+      if (!selected) {
+        hint.textContent = 'Select part of the background text first.';
+        return;
+      }
+      hint.textContent = usage;
+      annotations = addCaseAnnotation(annotations, selected.start, selected.end, noteInput.value.trim());
+      saveCaseAnnotations(question.id, annotations);
+      selected = null;
+      noteInput.value = '';
+      window.getSelection().removeAllRanges();
+      render();
+    });
+    render();
+    return tools;
+  }
+  // Controls for plotting the case table: a button to show or hide the
+  // chart, the chart type and the series to include. Returns null when the
+  // table has nothing to plot.
+  createChartPanel(table) {
+    const { labelKey, series } = caseTableSeries(table);
+    if (series.length === 0) return null;
+    const panel = document.createElement('div');
+    panel.className = 'case-chart';
+    const controls = document.createElement('div');
+    controls.className = 'case-chart-controls';
+    panel.appendChild(controls);
+    const plotBtn = document.createElement('button');
+    plotBtn.className = 'ui-button';
+    plotBtn.textContent = 'Plot data';
+    controls.appendChild(plotBtn);
+    const typeSelect = document.createElement('select');
+    [['line', 'Line'], ['bar', 'Bar']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    controls.appendChild(typeSelect);
+    // One checkbox per series; the first two start selected
+    const boxes = series.map((key, idx) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = idx < 2;
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(' ' + formatColumnName(key)));
+      controls.appendChild(label);
+      return box;
+    });
+    const canvasBox = document.createElement('div');
+    canvasBox.className = 'case-chart-canvas';
+    canvasBox.style.display = 'none';
+    const canvas = document.createElement('canvas');
+    canvasBox.appendChild(canvas);
+    panel.appendChild(canvasBox);
+    // Redraw the chart from the current choices. The first series uses the
+    // left axis and the others the right, as the scales often differ.
+    const draw = () => {
+      if (this.caseChart) this.caseChart.destroy();
+      const chosen = series.filter((key, idx) => boxes[idx].checked);
+      this.caseChart = new Chart(canvas.getContext('2d'), {
+        type: typeSelect.value,
+        data: {
+          labels: table.map(row => String(row[labelKey])),
+          datasets: chosen.map((key, idx) => {
+            const colour = CASE_CHART_COLOURS[series.indexOf(key) % CASE_CHART_COLOURS.length];
+            return { label: formatColumnName(key), data: table.map(row => row[key]), borderColor: colour, backgroundColor: colour, yAxisID: idx === 0 ? 'y' : 'y1' };
+          })
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          scales: {
+            x: { title: { display: true, text: formatColumnName(labelKey) } },
+            y: { position: 'left', title: { display: chosen.length > 0, text: chosen.length > 0 ? formatColumnName(chosen[0]) : '' } },
+            y1: { display: chosen.length > 1, position: 'right', grid: { drawOnChartArea: false } }
+          }
+        }
+      });
+    };
+    plotBtn.addEventListener('click', () => {
+      const showing = canvasBox.style.display === 'none';
+      canvasBox.style.display = showing ? 'block' : 'none';
+      plotBtn.textContent = showing ? 'Hide chart' : 'Plot data';
+      if (showing) {
+        draw();
+      } else if (this.caseChart) {
+        this.caseChart.destroy();
+        this.caseChart = null;
+      }
+    });
+    const redraw = () => { if (canvasBox.style.display !== 'none') draw(); };
+    typeSelect.addEventListener('change', redraw);
+    boxes.forEach(box => box.addEventListener('change', redraw));
+    return panel;
+  }
   createSubQuestionUI() {
     // Remove existing DOM container if any
     if (this.domContainer) {
@@ -744,72 +4073,130 @@ class CaseStudyScene extends QuestionScene {
     container.style.width = '100%';
     container.style.marginTop = '10px';
     const prompt = document.createElement('p');
-    prompt.textContent = 'Q' + (this.subIndex + 1) + ': ' + subQ.prompt;
+    prompt.textContent = 'Q' + (this.subIndex + 1) + ': ' + subQ.prompt + ` [${caseSubQuestionMarks(subQ, this.question).total}]`;
     container.appendChild(prompt);
-    const textarea = document.createElement('textarea');
-    textarea.className = 'ui-textarea';
-    textarea.placeholder = 'Your answer...';
+    // Data‑response calculations take a single value, like CalculationScene
+    const numeric = subQ.type === 'numeric';
+    const textarea = document.createElement(numeric ? 'input' : 'textarea');
+    if (numeric) {
+      textarea.type = 'text';
+      textarea.className = 'ui-input';
+      textarea.placeholder = 'Enter your answer (e.g. 12.5%, $1,250 or 1/0.24)';
+    } else {
+      textarea.className = 'ui-textarea';
+      textarea.placeholder = 'Your answer...';
+    }
     container.appendChild(textarea);
     // Feedback element for this sub‑question
     const feedback = document.createElement('p');
     feedback.style.display = 'none';
     feedback.style.fontWeight = 'bold';
     container.appendChild(feedback);
+    // Marks per criterion, filled in once the part is answered
+    const rubricPanel = document.createElement('div');
+    rubricPanel.className = 'essay-rubric';
+    rubricPanel.style.display = 'none';
+    container.appendChild(rubricPanel);
     const nextBtn = document.createElement('button');
     nextBtn.className = 'ui-button';
-    nextBtn.textContent = this.subIndex === this.question.subQuestions.length - 1 ? 'Submit Case Study' : 'Next Part';
+    nextBtn.textContent = 'Check Answer';
     container.appendChild(nextBtn);
+    // Model answer comparison, shown in place of the text area once the
+    // part has been answered
+    const comparisonPanel = document.createElement('div');
+    container.appendChild(comparisonPanel);
+    // First click marks the part and shows the comparison; the second
+    // click moves on.
+    let answered = false;
     nextBtn.addEventListener('click', () => {
+      if (answered) {
+        this.nextSubQuestion();
+        return;
+      }
+      answered = true;
       const answer = textarea.value.trim();
       // Save answer for this subquestion. Store as part of current question answer list
       if (!Session.answers[this.currentIndex]) {
         Session.answers[this.currentIndex] = [];
       }
       Session.answers[this.currentIndex][this.subIndex] = answer;
-      // Evaluate answer based on keyword overlap
-      const keywords = subQ.answer.toLowerCase().split(/\W+/);
-      const userWords = answer.toLowerCase().split(/\W+/);
-      const matches = keywords.filter(k => userWords.includes(k));
+      // Mark the part against the marking criteria; the case's entry in
+      // Session.correct holds the marks so far out of the paper total
+      const result = markCaseAnswer(answer, subQ, this.question);
       if (!Session.keywordsFound[this.currentIndex]) {
         Session.keywordsFound[this.currentIndex] = [];
       }
-      Session.keywordsFound[this.currentIndex][this.subIndex] = matches;
-      // Provide immediate feedback: at least one match means correct
+      Session.keywordsFound[this.currentIndex][this.subIndex] = result.matched;
+      if (!Session.rubrics[this.currentIndex]) {
+        Session.rubrics[this.currentIndex] = [];
+      }
+      Session.rubrics[this.currentIndex][this.subIndex] = result;
+      if (!Session.misconceptions[this.currentIndex]) {
+        Session.misconceptions[this.currentIndex] = [];
+      }
+      Session.misconceptions[this.currentIndex].push(...(result.misconceptions || []));
+      const caseMarks = Session.rubrics[this.currentIndex].reduce((sum, r) => sum + (r ? r.marks : 0), 0);
+      const paper = Session.correct[this.currentIndex] = casePaperMarks(caseMarks, this.question);
       feedback.style.display = 'block';
-      if (matches.length > 0) {
-        feedback.textContent = 'Correct!';
-        feedback.style.color = '#008000';
+      feedback.textContent = `Mark: ${result.marks} / ${result.total}` +
+        (this.subIndex === this.question.subQuestions.length - 1 ? ` · Case total: ${paper.marks} / ${paper.total}` : '');
+      feedback.style.color = result.marks >= result.total * CASE_PASS_SHARE ? '#008000' : '#d32f2f';
+      this.showCriteria(rubricPanel, result);
+      textarea.style.display = 'none';
+      if (numeric) {
+        const working = document.createElement('p');
+        working.className = 'case-working';
+        working.textContent = `Your answer: ${answer || '(no answer)'} · Model answer: ${result.solution.text}`;
+        comparisonPanel.appendChild(working);
       } else {
-        feedback.textContent = 'Incorrect. A sample correct answer: ' + subQ.answer;
-        feedback.style.color = '#d32f2f';
+        comparisonPanel.appendChild(buildModelComparison(answer, compareWithModel(answer, caseModelPoints(subQ))));
       }
-      // After a short delay, proceed to next subquestion or next case
-      setTimeout(() => {
-        this.subIndex++;
-        if (this.subIndex < this.question.subQuestions.length) {
-          this.createSubQuestionUI();
-        } else {
-          // All sub‑questions answered; record time and go to next question or summary
-          const now = Date.now();
-          const elapsed = now - (Session.lastTimestamp || Session.startTime);
-          Session.times.push(elapsed);
-          Session.lastTimestamp = now;
-          this.currentIndex++;
-          if (this.currentIndex < this.questions.length) {
-            this.cleanup();
-            this.createQuestionUI(this.questions[this.currentIndex]);
-          } else {
-            Session.endTime = Date.now();
-            this.scene.start('SummaryScene');
-          }
-        }
-      }, 800);
+      const lastPart = this.subIndex === this.question.subQuestions.length - 1;
+      const lastCase = this.currentIndex === this.questions.length - 1;
+      nextBtn.textContent = !lastPart ? 'Next Part' : lastCase ? 'Finish Session' : 'Next Case Study';
     });
     // Position the sub‑question container near the bottom so it does not overlap
     // the case text above.  This helps keep the case study readable and the
     // input fields accessible on all devices.
     this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 150, container);
   }
+  // One line per marking criterion, coloured like the essay rubric.
+  showCriteria(panel, result) {
+    panel.innerHTML = '';
+    const list = document.createElement('ul');
+    result.criteria.forEach(c => {
+      const item = document.createElement('li');
+      item.className = 'essay-criterion score-' + (c.share === 1 ? 2 : c.share > 0 ? 1 : 0);
+      item.textContent = `${c.label}: ${c.message}`;
+      item.title = c.descriptor;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+    panel.style.display = 'block';
+  }
+  // Proceed to the next sub‑question, or to the next case or summary once
+  // every part has been answered.
+  nextSubQuestion() {
+    this.subIndex++;
+    if (this.subIndex < this.question.subQuestions.length) {
+      this.createSubQuestionUI();
+      return;
+    }
+    // All sub‑questions answered; record time and go to next question or summary
+    const now = Date.now();
+    const elapsed = now - (Session.lastTimestamp || Session.startTime);
+    Session.times.push(elapsed);
+    Session.lastTimestamp = now;
+    this.currentIndex++;
+    if (this.currentIndex < this.questions.length) {
+      this.cleanup();
+      this.createQuestionUI(this.questions[this.currentIndex]);
+    } else {
+      Session.endTime = Date.now();
+      recordSession();
+      this.scene.start('SummaryScene');
+    }
+  }
   evaluateAnswer() {
     // Marking is done per sub‑question; overall correctness is not used here.
     return { correct: false };
@@ -819,14 +4206,308 @@ class CaseStudyScene extends QuestionScene {
   }
 }
 
+// Spaced repetition for flashcards (SM‑2 style). Each card that has been
+// answered keeps an ease factor, an interval in days and a due date,
+// stored in localStorage by question id. Cards never answered are new.
+const FLASHCARD_SCHEDULE_KEY = 'ib_econ_flashcards';
+const FLASHCARD_SESSION_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read the saved schedule, or an empty one if none is stored.
+function loadFlashcardSchedule() {
+  try {
+    return JSON.parse(localStorage.getItem(FLASHCARD_SCHEDULE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveFlashcardSchedule(schedule) {
+  localStorage.setItem(FLASHCARD_SCHEDULE_KEY, JSON.stringify(schedule));
+}
+
+// Next schedule entry for a card after a review. quality runs from 0
+// (no recall) to 5 (perfect recall); below 3 the card starts again with a
+// one‑day interval. The ease factor never drops below 1.3.
+function reviewFlashcard(entry, quality, now) {
+  const prev = entry || { ease: 2.5, interval: 0, repetitions: 0 };
+  const ease = Math.max(1.3, prev.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  let repetitions = 0;
+  let interval = 1;
+  if (quality >= 3) {
+    repetitions = prev.repetitions + 1;
+    if (repetitions === 2) interval = 6;
+    else if (repetitions > 2) interval = Math.round(prev.interval * ease);
+  }
+  return { ease: roundTo(ease, 2), interval: interval, repetitions: repetitions, due: now + interval * DAY_MS, lastReviewed: now };
+}
+
+// Update and save the schedule for one card.
+function recordFlashcardReview(id, quality) {
+  const schedule = loadFlashcardSchedule();
+  schedule[id] = reviewFlashcard(schedule[id], quality, Date.now());
+  saveFlashcardSchedule(schedule);
+}
+
+// Order cards for a session: due cards first (most overdue first), then
+// new cards in random order, then the rest by how soon they fall due.
+function orderFlashcardsForReview(cards, schedule, now) {
+  const due = cards.filter(c => schedule[c.id] && schedule[c.id].due <= now);
+  const fresh = cards.filter(c => !schedule[c.id]);
+  const later = cards.filter(c => schedule[c.id] && schedule[c.id].due > now);
+  due.sort((a, b) => schedule[a.id].due - schedule[b.id].due);
+  later.sort((a, b) => schedule[a.id].due - schedule[b.id].due);
+  return due.concat(shuffleArray(fresh), later);
+}
+
+// Number of due cards per topic across all levels, e.g. { Tariff: 3 }.
+function countDueFlashcards(cards, schedule, now) {
+  const counts = {};
+  cards.forEach(c => {
+    if (schedule[c.id] && schedule[c.id].due <= now) counts[c.topic] = (counts[c.topic] || 0) + 1;
+  });
+  return counts;
+}
+
+// Definition matching for flashcards. Typed definitions are compared with
+// the model answer by key‑term coverage: words are reduced to stems,
+// mapped onto a shared synonym, and small typing errors are forgiven.
+const FLASHCARD_PASS_SCORE = 0.5;
+
+// Words that carry no meaning of their own in a definition.
+const DEFINITION_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'and', 'or', 'as',
+  'is', 'are', 'be', 'been', 'being', 'was', 'were', 'that', 'which', 'who', 'whom', 'this', 'these',
+  'those', 'it', 'its', 'their', 'there', 'they', 'them', 'when', 'where', 'while', 'so', 'such',
+  'than', 'then', 'can', 'could', 'will', 'would', 'may', 'might', 'all', 'any', 'each', 'into',
+  'over', 'per', 'some', 'what', 'how', 'between', 'about', 'often', 'situation', 'way', 'term'
+]);
+
+// Groups of words accepted in place of each other. The first word of each
+// group is the one reported when a term is missing.
+const DEFINITION_SYNONYMS = [
+  ['increase', 'rise', 'raise', 'grow', 'growth', 'boost', 'expand', 'expansion', 'up'],
+  ['decrease', 'fall', 'reduce', 'reduction', 'decline', 'drop', 'cut', 'lower', 'less', 'fewer', 'shrink', 'down'],
+  ['more', 'greater', 'higher', 'exceed', 'surpass', 'above'],
+  ['government', 'govt', 'state', 'authorities'],
+  ['producer', 'firm', 'business', 'company', 'supplier', 'seller'],
+  ['consumer', 'household', 'customer'],
+  ['good', 'product', 'item', 'commodity'],
+  ['spending', 'expenditure', 'spend', 'outlay'],
+  ['revenue', 'receipts', 'takings'],
+  ['tax', 'taxation', 'duty', 'levy'],
+  ['limit', 'limited', 'restrict', 'restriction', 'finite', 'scarce', 'curb', 'barrier'],
+  ['unlimited', 'infinite', 'endless', 'limitless'],
+  ['want', 'need', 'desire'],
+  ['money', 'cash'],
+  ['country', 'nation'],
+  ['total', 'overall', 'aggregate', 'sum'],
+  ['additional', 'extra', 'another'],
+  ['able', 'ability', 'capable', 'capacity'],
+  ['willing', 'prepared', 'ready'],
+  ['remove', 'removal', 'eliminate', 'abolish', 'scrap'],
+  ['buy', 'purchase', 'acquire'],
+  ['single', 'sole', 'only', 'one'],
+  ['large', 'big', 'major'],
+  ['relationship', 'link', 'tradeoff', 'correlation'],
+  ['improve', 'improvement', 'better', 'enhance'],
+  ['third', 'outsider', 'bystander'],
+  ['measure', 'indicator', 'gauge']
+];
+
+// Reduce a word to a rough stem by removing one common suffix, so that
+// 'reduce', 'reduced', 'reducing' and 'reduction' all become 'reduc'.
+const STEM_SUFFIXES = ['isation', 'ization', 'ations', 'ation', 'ments', 'ment', 'ness', 'ings', 'ing', 'ities', 'ity',
+  'ions', 'tion', 'ence', 'ance', 'ency', 'ancy', 'ent', 'ant', 'ies', 'ied', 'ed', 'ers', 'er', 'ly', 'es', 's', 'e'];
+function stemWord(word) {
+  for (const suffix of STEM_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+// Stem → stem of the first word in its synonym group.
+const DEFINITION_SYNONYM_STEMS = {};
+DEFINITION_SYNONYMS.forEach(group => {
+  group.forEach(word => { DEFINITION_SYNONYM_STEMS[stemWord(word)] = stemWord(group[0]); });
+});
+
+// Canonical form of a word: its stem, or the stem of its synonym group.
+function canonicalTerm(word) {
+  const stem = stemWord(word);
+  return DEFINITION_SYNONYM_STEMS[stem] || stem;
+}
+
+// Levenshtein edit distance between two strings.
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Split text into lower‑case words. Hyphens (including non‑breaking ones)
+// separate words, so 'non‑excludable' gives 'non' and 'excludable'.
+function definitionWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+// Whether a canonical term was written, allowing one typing error in
+// terms of five or more letters and two in terms of eight or more.
+function termMatches(term, written) {
+  if (written.has(term)) return true;
+  const allowed = term.length >= 8 ? 2 : term.length >= 5 ? 1 : 0;
+  if (allowed === 0) return false;
+  for (const w of written) {
+    if (Math.abs(w.length - term.length) <= allowed && editDistance(w, term) <= allowed) return true;
+  }
+  return false;
+}
+
+// Compare a typed definition with the model answer. Returns
+// { score, matched, missing } where score is the share of key terms
+// covered (0–1) and matched/missing list the key terms as worded in the
+// model answer.
+function matchDefinition(userAnswer, modelAnswer) {
+  const written = new Set(definitionWords(userAnswer).filter(w => !DEFINITION_STOPWORDS.has(w)).map(canonicalTerm));
+  const keyTerms = [];
+  definitionWords(modelAnswer).forEach(w => {
+    if (DEFINITION_STOPWORDS.has(w)) return;
+    const term = canonicalTerm(w);
+    if (!keyTerms.some(k => k.term === term)) keyTerms.push({ term: term, word: w });
+  });
+  if (keyTerms.length === 0) return { score: 0, matched: [], missing: [] };
+  const matched = keyTerms.filter(k => termMatches(k.term, written));
+  const missing = keyTerms.filter(k => !matched.includes(k));
+  return { score: matched.length / keyTerms.length, matched: matched.map(k => k.word), missing: missing.map(k => k.word) };
+}
+
+// Build a paragraph of text with the words accepted by isTerm(word) (other
+// than stopwords) marked with the given class.
+function highlightTerms(text, isTerm, className) {
+  const p = document.createElement('p');
+  String(text).split(/([A-Za-z0-9]+)/).forEach(part => {
+    const word = part.toLowerCase();
+    if (/^[a-z0-9]+$/.test(word) && !DEFINITION_STOPWORDS.has(word) && isTerm(word)) {
+      const mark = document.createElement('mark');
+      mark.className = className;
+      mark.textContent = part;
+      p.appendChild(mark);
+    } else {
+      p.appendChild(document.createTextNode(part));
+    }
+  });
+  return p;
+}
+
+// Build a paragraph showing the model answer with the words for missing
+// key terms highlighted.
+function highlightDefinition(modelAnswer, missing) {
+  const missingTerms = missing.map(canonicalTerm);
+  const p = highlightTerms(modelAnswer, word => missingTerms.includes(canonicalTerm(word)), 'definition-missing');
+  p.className = 'definition-answer';
+  return p;
+}
+
+// Spaced‑repetition quality (0–5) for a definition match score.
+function definitionQuality(score) {
+  if (score >= 0.9) return 5;
+  if (score >= 0.75) return 4;
+  if (score >= FLASHCARD_PASS_SCORE) return 3;
+  if (score >= 0.3) return 2;
+  return 1;
+}
+
+// Ways of answering a flashcard, chosen in the menu: typing the
+// definition, revealing it and rating recall, or picking it from four.
+const FLASHCARD_VARIANTS = [
+  { key: 'typed', label: 'Type the answer' },
+  { key: 'reveal', label: 'Reveal and rate' },
+  { key: 'choice', label: 'Multiple choice' }
+];
+
+// Variants offered in the level selection, by mode. The first is the default.
+const MODE_VARIANTS = { flash: FLASHCARD_VARIANTS, essay: ESSAY_VARIANTS };
+
+// Self‑ratings in reveal mode, with the recall quality used for scheduling.
+const FLASHCARD_RATINGS = [
+  { key: 'again', label: 'Again', quality: 1, color: '#d32f2f' },
+  { key: 'hard', label: 'Hard', quality: 3, color: '#ef6c00' },
+  { key: 'good', label: 'Good', quality: 4, color: '#1976d2' },
+  { key: 'easy', label: 'Easy', quality: 5, color: '#008000' }
+];
+
+// Topics that are easily confused with each other. Multiple‑choice
+// distractors come from the same group where possible; a topic may
+// belong to more than one group.
+const FLASHCARD_TOPIC_GROUPS = [
+  ['Scarcity', 'Opportunity cost', 'Comparative advantage'],
+  ['Demand', 'Supply', 'Market equilibrium', 'Substitute goods', 'Complementary goods', 'Elasticity', 'Income elasticity of demand'],
+  ['Consumer surplus', 'Producer surplus', 'Deadweight loss'],
+  ['Externality', 'Market failure', 'Public good', 'Deadweight loss', 'Excise tax', 'Subsidy'],
+  ['Marginal cost', 'Marginal revenue', 'Monopoly', 'Oligopoly'],
+  ['GDP', 'GDP per capita', 'Inflationary gap', 'Recessionary gap', 'Economic development'],
+  ['Inflation', 'Unemployment', 'Structural unemployment', 'Phillips curve'],
+  ['Fiscal policy', 'Monetary policy', 'Supply‑side policies', 'Quantitative easing'],
+  ['Fiscal deficit', 'Public debt', 'Crowding out', 'Current account deficit'],
+  ['Tariff', 'Quota', 'Subsidy', 'Protectionism', 'Trade liberalisation', 'Terms of trade'],
+  ['Exchange rate', 'Exchange rate regime', 'Depreciation', 'Appreciation', 'Exchange rate devaluation', 'Marshall‑Lerner condition'],
+  ['Balance of payments', 'Current account deficit', 'Capital account'],
+  ['Absolute poverty', 'Lorenz curve', 'Gini coefficient', 'Economic development']
+];
+
+// Four options for a multiple‑choice flashcard: the card's definition and
+// three from other topics, preferring related topics. Each option is
+// { topic, text }.
+function buildFlashcardOptions(card, cards) {
+  const related = new Set();
+  FLASHCARD_TOPIC_GROUPS.forEach(group => {
+    if (group.includes(card.topic)) group.forEach(topic => related.add(topic));
+  });
+  // One definition per other topic; several items share a definition
+  const byTopic = {};
+  cards.forEach(c => {
+    if (c.topic !== card.topic && c.answer !== card.answer && !byTopic[c.topic]) byTopic[c.topic] = c.answer;
+  });
+  const topics = Object.keys(byTopic);
+  const close = shuffleArray(topics.filter(topic => related.has(topic)));
+  const others = shuffleArray(topics.filter(topic => !related.has(topic)));
+  const distractors = close.concat(others).slice(0, 3).map(topic => ({ topic: topic, text: byTopic[topic] }));
+  return shuffleArray([{ topic: card.topic, text: card.answer }].concat(distractors));
+}
+
+// Seconds allowed per flashcard at each difficulty level.
+const FLASHCARD_TIME_LIMITS = { 1: 60, 2: 45, 3: 30 };
+
 // FlashcardScene – timed short questions. This implementation
-// sequentially displays Q/A and collects responses. Timing and
-// scoring are recorded. A more sophisticated implementation could
-// randomise question order and implement a timer countdown.
+// sequentially displays Q/A and collects responses. Each card has a
+// countdown; when it runs out the answer is submitted as it stands and,
+// unless it is already correct, recorded as a time‑out rather than a
+// wrong answer.
 class FlashcardScene extends QuestionScene {
   constructor() {
     super('flash');
   }
+  // Back to Menu does not go through cleanup(), so stop the countdown and
+  // any pending submission when the scene shuts down.
+  create() {
+    super.create();
+    this.events.once('shutdown', () => this.stopCountdown());
+  }
+  // Build the session from the level's cards, due cards first. Multiple‑
+  // choice cards get their options here so they stay fixed for the card.
+  loadQuestions() {
+    this.schedule = loadFlashcardSchedule();
+    this.timedOut = false;
+    const cards = orderFlashcardsForReview(super.loadQuestions(), this.schedule, Date.now()).slice(0, FLASHCARD_SESSION_SIZE);
+    if (Session.variant !== 'choice') return cards;
+    return cards.map(card => Object.assign({}, card, { options: buildFlashcardOptions(card, QUESTIONS.flash || []) }));
+  }
   createQuestionUI(question) {
     // Update progress bar
     this.updateProgressBar();
@@ -838,12 +4519,26 @@ class FlashcardScene extends QuestionScene {
       color: '#000000'
     });
     this.textObjects.push(title);
+    // Whether the card is new, due for review or being seen early
+    const entry = this.schedule[question.id];
+    let status = 'New card';
+    if (entry) status = entry.due <= Date.now() ? 'Due for review' : 'Review ahead (not yet due)';
+    const statusText = this.add.text(GAME_WIDTH - 50, yStart, status, { fontSize: '14px', color: '#555' }).setOrigin(1, 0);
+    this.textObjects.push(statusText);
     const qText = this.add.text(50, yStart + 40, question.question, {
       fontSize: '18px',
       color: '#000000',
       wordWrap: { width: GAME_WIDTH - 100 }
     });
     this.textObjects.push(qText);
+    if (Session.variant === 'reveal') {
+      this.createRevealUI(question);
+      return;
+    }
+    if (Session.variant === 'choice') {
+      this.createChoiceUI(question);
+      return;
+    }
     // Input
     const container = document.createElement('div');
     container.style.width = '100%';
@@ -859,28 +4554,198 @@ class FlashcardScene extends QuestionScene {
     container.appendChild(feedback);
     const nextBtn = document.createElement('button');
     nextBtn.className = 'ui-button';
-    nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next';
+    nextBtn.textContent = 'Check Answer';
     container.appendChild(nextBtn);
-    nextBtn.addEventListener('click', () => {
-      const ans = input.value.trim();
-      const result = this.evaluateAnswer(question, ans);
+    // First click marks the answer and shows the model definition with any
+    // missing key terms highlighted; the second click moves on.
+    let checked = false;
+    const check = () => {
+      checked = true;
+      input.disabled = true;
+      this.stopCountdown();
+      const result = this.evaluateAnswer(question, input.value.trim());
+      const percent = Math.round(result.score * 100);
+      const prefix = this.timedOut ? 'Time\'s up! ' : '';
       feedback.style.display = 'block';
       if (result.correct) {
-        feedback.textContent = 'Correct!';
+        feedback.textContent = prefix + (result.missing.length === 0 ? 'Correct!' : `Correct – ${percent}% of the key terms. Missing parts are highlighted:`);
         feedback.style.color = '#008000';
       } else {
-        feedback.textContent = 'Incorrect. Correct answer: ' + question.answer;
+        feedback.textContent = prefix + `Incorrect – ${percent}% of the key terms. Missing parts are highlighted:`;
         feedback.style.color = '#d32f2f';
       }
-      setTimeout(() => {
-        this.handleSubmit(ans);
-      }, 800);
+      if (result.missing.length > 0) {
+        container.insertBefore(highlightDefinition(question.answer, result.missing), nextBtn);
+      }
+      nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next';
+    };
+    nextBtn.addEventListener('click', () => {
+      if (checked) {
+        this.handleSubmit(input.value.trim());
+        return;
+      }
+      check();
     });
     this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 160, container);
+    // When time runs out, mark what has been typed and move on
+    this.startCardCountdown(() => {
+      check();
+      nextBtn.disabled = true;
+      this.submitAfterTimeout(input.value.trim());
+    });
+  }
+  // After a time‑out, leave the answer on screen briefly before submitting
+  // it. Leaving the card or the scene first cancels the submission.
+  submitAfterTimeout(answer) {
+    this.pendingSubmit = setTimeout(() => {
+      this.pendingSubmit = null;
+      this.handleSubmit(answer);
+    }, 1500);
+  }
+  stopCountdown() {
+    super.stopCountdown();
+    if (this.pendingSubmit) {
+      clearTimeout(this.pendingSubmit);
+      this.pendingSubmit = null;
+    }
+  }
+  // Count down the time for the level. If it runs out before the student
+  // answers, the card is marked as timed out and onExpire runs.
+  startCardCountdown(onExpire) {
+    const seconds = FLASHCARD_TIME_LIMITS[Session.level] || FLASHCARD_TIME_LIMITS[1];
+    this.startCountdown(seconds, GAME_WIDTH - 50, 200, () => {
+      this.timedOut = true;
+      onExpire();
+    });
+  }
+  // Reveal mode: the card flips to show the definition and the student
+  // rates their own recall. The rating key is submitted as the answer.
+  createRevealUI(question) {
+    const container = document.createElement('div');
+    container.style.width = '100%';
+    const card = document.createElement('div');
+    card.className = 'flashcard-card';
+    card.textContent = 'Recall the definition, then reveal the answer.';
+    container.appendChild(card);
+    const ratings = document.createElement('div');
+    ratings.className = 'flashcard-ratings';
+    ratings.style.display = 'none';
+    FLASHCARD_RATINGS.forEach(rating => {
+      const btn = document.createElement('button');
+      btn.className = 'ui-button';
+      btn.textContent = rating.label;
+      btn.style.backgroundColor = rating.color;
+      btn.addEventListener('click', () => this.handleSubmit(rating.key));
+      ratings.appendChild(btn);
+    });
+    container.appendChild(ratings);
+    const revealBtn = document.createElement('button');
+    revealBtn.className = 'ui-button';
+    revealBtn.textContent = 'Show Answer';
+    revealBtn.addEventListener('click', () => {
+      this.stopCountdown();
+      card.textContent = question.answer;
+      card.classList.add('flipped');
+      revealBtn.style.display = 'none';
+      ratings.style.display = 'flex';
+    });
+    container.appendChild(revealBtn);
+    this.domContainer = this.add.dom(GAME_WIDTH / 2, GAME_HEIGHT - 220, container);
+    // Out of time before revealing: show the answer briefly, then move on
+    this.startCardCountdown(() => {
+      card.textContent = 'Time\'s up! ' + question.answer;
+      card.classList.add('flipped');
+      revealBtn.style.display = 'none';
+      this.submitAfterTimeout(null);
+    });
+  }
+  // Multiple‑choice mode: one button per option. The chosen option's topic
+  // is submitted as the answer.
+  createChoiceUI(question) {
+    const container = document.createElement('div');
+    container.style.width = '100%';
+    const list = document.createElement('div');
+    list.className = 'choice-options';
+    container.appendChild(list);
+    const feedback = document.createElement('p');
+    feedback.style.display = 'none';
+    feedback.style.fontWeight = 'bold';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'ui-button';
+    nextBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Finish Session' : 'Next';
+    nextBtn.style.display = 'none';
+    let chosen = null;
+    question.options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = 'choice-option';
+      btn.textContent = option.text;
+      btn.addEventListener('click', () => {
+        if (chosen !== null) return;
+        this.stopCountdown();
+        chosen = option.topic;
+        // Mark the right option, and the chosen one if it was wrong
+        list.querySelectorAll('.choice-option').forEach((b, idx) => {
+          if (question.options[idx].text === question.answer) b.classList.add('correct');
+        });
+        const result = this.evaluateAnswer(question, chosen);
+        if (!result.correct) btn.classList.add('wrong');
+        feedback.style.display = 'block';
+        feedback.textContent = result.correct ? 'Correct!' : `Incorrect – that is the definition of ${option.topic}.`;
+        feedback.style.color = result.correct ? '#008000' : '#d32f2f';
+        nextBtn.style.display = 'inline-block';
+      });
+      list.appendChild(btn);
+    });
+    container.appendChild(feedback);
+    nextBtn.addEventListener('click', () => this.handleSubmit(chosen));
+    container.appendChild(nextBtn);
+    this.domContainer = this.add.dom(GAME_WIDTH / 2, 260, container);
+    // Out of time before choosing: mark the right option, then move on
+    this.startCardCountdown(() => {
+      chosen = '';
+      list.querySelectorAll('.choice-option').forEach((b, idx) => {
+        if (question.options[idx].text === question.answer) b.classList.add('correct');
+      });
+      feedback.style.display = 'block';
+      feedback.textContent = 'Time\'s up!';
+      feedback.style.color = '#d32f2f';
+      this.submitAfterTimeout(null);
+    });
   }
   evaluateAnswer(question, userAnswer) {
-    const correct = userAnswer.trim().toLowerCase() === question.answer.toLowerCase();
-    return { correct: correct };
+    // Multiple choice: record which topic the definition was mistaken for.
+    // Recognising a definition is easier than recalling it, so a correct
+    // choice schedules the card as a hard recall (3).
+    if (Session.variant === 'choice' && question.options) {
+      const option = question.options.find(o => o.topic === userAnswer);
+      const correct = !!option && option.text === question.answer;
+      if (correct || !option) return { correct: correct, quality: correct ? 3 : 1 };
+      const confusion = { id: 'confused', label: `${question.topic} / ${option.topic}`, message: `Mistook ${option.topic} for ${question.topic}.` };
+      return { correct: false, quality: 1, misconceptions: [confusion], feedback: ['confused with ' + option.topic] };
+    }
+    // In reveal mode the answer is a self‑rating; 'Again' counts as wrong
+    const rating = Session.variant === 'reveal' ? FLASHCARD_RATINGS.find(r => r.key === userAnswer) : null;
+    if (rating) {
+      return { correct: rating.key !== 'again', rating: rating.key, quality: rating.quality };
+    }
+    // Graded by key‑term coverage rather than an exact match, so a
+    // definition in the student's own words can still be correct.
+    const match = matchDefinition(userAnswer, question.answer);
+    const feedback = match.missing.length > 0 ? ['missing ' + match.missing.join(', ')] : [];
+    return { correct: match.score >= FLASHCARD_PASS_SCORE, score: match.score, missing: match.missing, keywordsFound: match.matched, feedback: feedback };
+  }
+  // Reschedule the card and keep any self‑rating before recording the
+  // answer. Typed answers use the match score as the recall quality.
+  // A time‑out that was not already correct is recorded as such.
+  handleSubmit(userAnswer) {
+    const question = this.questions[this.currentIndex];
+    const result = this.evaluateAnswer(question, userAnswer);
+    this.stopCountdown();
+    recordFlashcardReview(question.id, result.quality || definitionQuality(result.score));
+    Session.ratings.push(result.rating || null);
+    Session.timeouts.push(this.timedOut && !result.correct);
+    this.timedOut = false;
+    super.handleSubmit(userAnswer);
   }
   getTitle() {
     return 'Flashcard Mode';
@@ -913,21 +4778,61 @@ class SummaryScene extends Phaser.Scene {
     // Calculate total correct answers and total time
     const totalQ = Session.questions.length;
     let correctCount = 0;
-    Session.correct.forEach(c => { if (Array.isArray(c)) return; if (c) correctCount++; });
-    // For case study, each sub‑question is not counted in correct array. We'll count matches length > 0.
+    Session.correct.forEach(c => {
+      if (Array.isArray(c)) return;
+      const m = toMarks(c);
+      if (m.marks === m.total) correctCount++;
+    });
+    // For case study, Session.correct holds marks per case; count the
+    // sub‑questions earning at least CASE_PASS_SHARE of their marks.
     if (Session.mode === 'case') {
       correctCount = 0;
-      Session.keywordsFound.forEach(arr => {
-        if (Array.isArray(arr)) {
-          arr.forEach(subArr => { if (subArr && subArr.length > 0) correctCount++; });
-        }
-      });
+      Session.rubrics.forEach(parts => (parts || []).forEach(r => { if (r && r.marks >= r.total * CASE_PASS_SHARE) correctCount++; }));
     }
     const totalTime = Session.endTime - Session.startTime;
     const timeSeconds = (totalTime / 1000).toFixed(1);
     // Display overall stats
-    const statsText = `Mode: ${Session.mode}\nDifficulty level: ${Session.level}\nQuestions attempted: ${totalQ}\nCorrect responses: ${correctCount}\nTotal time: ${timeSeconds} s`;
-    this.add.text(60, 90, statsText, { fontSize: '18px', color: '#333' });
+    let statsText = `Mode: ${Session.mode}\nDifficulty level: ${Session.level}\nQuestions attempted: ${totalQ}\nCorrect responses: ${correctCount}\nTotal time: ${timeSeconds} s`;
+    // Calculation questions can earn partial marks, so report marks as well
+    if (Session.mode === 'calculation' || Session.mode === 'essay' || Session.mode === 'case') {
+      const totals = Session.correct.map(toMarks).reduce((acc, m) => ({ marks: acc.marks + m.marks, total: acc.total + m.total }), { marks: 0, total: 0 });
+      statsText += `\nMarks: ${totals.marks} / ${totals.total}`;
+    }
+    // Each case is a Paper 2 question, so also give its own total
+    if (Session.mode === 'case') {
+      Session.correct.forEach((entry, idx) => {
+        if (entry) statsText += `\nCase ${idx + 1}: ${entry.marks} / ${entry.total}`;
+      });
+    }
+    // Self‑rated flashcards: how often each rating was chosen
+    if (Session.mode === 'flash' && Session.variant === 'reveal') {
+      statsText += '\nRatings: ' + FLASHCARD_RATINGS.map(r => `${r.label} ${Session.ratings.filter(k => k === r.key).length}`).join(', ');
+    }
+    // Flashcards that ran out of time are counted apart from wrong answers,
+    // and their times are left out of the average
+    if (Session.mode === 'flash') {
+      const timedOut = Session.timeouts.filter(t => t).length;
+      const answeredTimes = Session.times.filter((ms, idx) => !Session.timeouts[idx]);
+      statsText += `\nWrong answers: ${Session.correct.length - correctCount - timedOut}\nTimed out: ${timedOut}`;
+      if (answeredTimes.length > 0) {
+        const average = answeredTimes.reduce((sum, ms) => sum + ms, 0) / answeredTimes.length / 1000;
+        statsText += `\nAverage time per answered card: ${average.toFixed(1)} s`;
+      }
+    }
+    // Essays: points earned on each rubric criterion across the session
+    if (Session.mode === 'essay') {
+      const byCriterion = {};
+      Session.rubrics.forEach(rubric => (rubric ? rubric.criteria : []).forEach(c => {
+        const entry = byCriterion[c.label] || (byCriterion[c.label] = { score: 0, max: 0 });
+        entry.score += c.score;
+        entry.max += c.max;
+      }));
+      const labels = Object.keys(byCriterion);
+      if (labels.length > 0) {
+        statsText += '\nCriteria: ' + labels.map(label => `${label} ${byCriterion[label].score}/${byCriterion[label].max}`).join(', ');
+      }
+    }
+    const stats = this.add.text(60, 90, statsText, { fontSize: '18px', color: '#333' });
     // Display suggestions based on incorrect answers or missing keywords
     let suggestions = [];
     if (Session.mode === 'diagram' || Session.mode === 'essay') {
@@ -936,35 +4841,64 @@ class SummaryScene extends Phaser.Scene {
         if (missed.length > 0) {
           suggestions.push(`Question ${idx + 1} (${q.topic}): review concepts – missing keywords: ${missed.join(', ')}`);
         }
+        // Diagram mistakes recorded when the drawing was graded
+        const problems = Session.feedback[idx] || [];
+        if (Session.mode === 'diagram' && problems.length > 0) {
+          suggestions.push(`Question ${idx + 1} (${q.topic}): diagram – ${problems.slice(0, 2).join('; ')}`);
+        }
+        // Essay criteria that were not fully met
+        const rubric = Session.rubrics[idx];
+        if (Session.mode === 'essay' && rubric) {
+          const weak = rubric.criteria.filter(c => c.score < c.max).map(c => c.label);
+          if (weak.length > 0) {
+            suggestions.push(`Question ${idx + 1} (${q.topic}): ${rubric.marks}/${rubric.total} – improve ${weak.join(', ')}`);
+          }
+        }
       });
     }
     if (Session.mode === 'calculation') {
       Session.questions.forEach((q, idx) => {
-        const ans = parseFloat(Session.answers[idx]);
-        const correct = parseFloat(q.answer);
-        if (isNaN(ans) || Math.abs(ans - correct) > Math.abs(correct) * 0.01) {
-          suggestions.push(`Question ${idx + 1} (${q.topic}): practise the calculation steps shown in the solution.`);
+        const m = toMarks(Session.correct[idx]);
+        if (m.marks < m.total) {
+          const score = m.total > 1 ? ` (${m.marks}/${m.total} marks)` : '';
+          suggestions.push(`Question ${idx + 1} (${q.topic})${score}: practise the calculation steps shown in the solution.`);
         }
       });
     }
     if (Session.mode === 'case') {
       Session.questions.forEach((q, idx) => {
         q.subQuestions.forEach((sq, subIdx) => {
-          const matches = Session.keywordsFound[idx][subIdx] || [];
-          if (matches.length === 0) {
-            suggestions.push(`Case Q${idx + 1} Part ${subIdx + 1}: revisit this topic – answer may lack key elements.`);
+          const result = (Session.rubrics[idx] || [])[subIdx];
+          if (result && result.marks < result.total) {
+            const weak = result.criteria.filter(c => c.share < 1).map(c => c.label);
+            suggestions.push(`Case Q${idx + 1} Part ${subIdx + 1}: ${result.marks}/${result.total} – improve ${weak.join(', ')}`);
           }
         });
       });
     }
     if (Session.mode === 'flash') {
       Session.questions.forEach((q, idx) => {
-        if (!Session.correct[idx]) {
-          suggestions.push(`Flashcard ${idx + 1} (${q.topic}): review this definition.`);
+        const rating = Session.ratings[idx];
+        if (Session.timeouts[idx]) {
+          suggestions.push(`Flashcard ${idx + 1} (${q.topic}): ran out of time – practise recalling this definition quickly.`);
+        } else if (rating === 'again' || rating === 'hard') {
+          suggestions.push(`Flashcard ${idx + 1} (${q.topic}): rated ${rating === 'again' ? 'Again' : 'Hard'} – review this definition.`);
+        } else if (!rating && !Session.correct[idx]) {
+          const missing = (Session.feedback[idx] || []).join('; ');
+          suggestions.push(`Flashcard ${idx + 1} (${q.topic}): review this definition${missing ? ' – ' + missing : ''}.`);
         }
       });
     }
-    const sugY = 200;
+    // Group recognised misconceptions (or terms confused in multiple‑choice
+    // flashcards) across the session; the five most frequent are listed
+    const counts = {};
+    Session.misconceptions.forEach(list => (list || []).forEach(m => { counts[m.label] = (counts[m.label] || 0) + 1; }));
+    const common = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    if (common.length > 0) {
+      const heading = Session.mode === 'flash' ? 'Terms confused: ' : 'Common mistakes: ';
+      suggestions.unshift(heading + common.slice(0, 5).map(label => `${label} (${counts[label]})`).join(', '));
+    }
+    const sugY = stats.y + stats.height + 20;
     this.add.text(60, sugY, 'Suggested revision areas:', { fontSize: '20px', color: '#1e3a8a' });
     if (suggestions.length === 0) {
       this.add.text(60, sugY + 30, 'Great job! You answered all questions correctly or included all keywords.', { fontSize: '16px', color: '#008000' });
@@ -985,6 +4919,171 @@ class SummaryScene extends Phaser.Scene {
   }
 }
 
+// Mode names used on the dashboard.
+const MODE_LABELS = { diagram: 'Diagram', calculation: 'Calculation', essay: 'Essay', case: 'Case study', flash: 'Flashcards' };
+
+// Number of weakest topics listed on the dashboard.
+const DASHBOARD_WEAKEST = 6;
+
+// DashboardScene – charts of the session history: accuracy over time,
+// mastery per topic, time per question and the weakest topics. The charts
+// can be limited to one mode, and topics rolled up into syllabus concepts.
+class DashboardScene extends Phaser.Scene {
+  constructor() {
+    super('DashboardScene');
+  }
+  create() {
+    this.add.text(GAME_WIDTH / 2, 40, 'Progress Dashboard', { fontSize: '30px', color: '#1e3a8a' }).setOrigin(0.5);
+    const backBtn = this.add.text(20, 10, 'Back to Menu', {
+      fontSize: '18px',
+      backgroundColor: '#1976d2',
+      color: '#ffffff',
+      padding: { left: 8, right: 8, top: 4, bottom: 4 }
+    }).setInteractive({ useHandCursor: true })
+      .on('pointerover', () => backBtn.setBackgroundColor('#145a9e'))
+      .on('pointerout', () => backBtn.setBackgroundColor('#1976d2'))
+      .on('pointerdown', () => {
+        this.scene.start('MenuScene');
+      });
+    if (SessionHistory.length === 0) {
+      this.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, 'No sessions yet – finish a session in any mode to see your progress here.', { fontSize: '18px', color: '#555', align: 'center', wordWrap: { width: GAME_WIDTH - 100 } }).setOrigin(0.5);
+      return;
+    }
+    this.charts = [];
+    this.events.once('shutdown', () => this.destroyCharts());
+    const container = document.createElement('div');
+    container.className = 'dashboard';
+    container.style.width = (GAME_WIDTH - 40) + 'px';
+    container.style.height = (GAME_HEIGHT - 80) + 'px';
+    // Mode filter, listing the modes that have been played, and whether
+    // mastery is shown per topic or per syllabus concept
+    const filters = document.createElement('div');
+    filters.className = 'dashboard-filters';
+    container.appendChild(filters);
+    const filter = document.createElement('select');
+    [['all', 'All modes']].concat(Object.keys(MODE_LABELS).filter(mode => SessionHistory.some(s => s.mode === mode))
+      .map(mode => [mode, MODE_LABELS[mode]])).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      filter.appendChild(option);
+    });
+    filters.appendChild(filter);
+    const grouping = document.createElement('select');
+    [['topic', 'Per topic'], ['concept', 'Per syllabus concept']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      grouping.appendChild(option);
+    });
+    filters.appendChild(grouping);
+    const grid = document.createElement('div');
+    grid.className = 'dashboard-grid';
+    container.appendChild(grid);
+    const cell = title => {
+      const box = document.createElement('div');
+      box.className = 'dashboard-cell';
+      const heading = document.createElement('p');
+      heading.className = 'dashboard-title';
+      heading.textContent = title;
+      box.appendChild(heading);
+      grid.appendChild(box);
+      return box;
+    };
+    const canvasIn = box => {
+      const holder = document.createElement('div');
+      holder.className = 'dashboard-chart';
+      const canvas = document.createElement('canvas');
+      holder.appendChild(canvas);
+      box.appendChild(holder);
+      return canvas;
+    };
+    const accuracyCell = cell('Accuracy over time (%)');
+    const masteryCell = cell('');
+    const cells = {
+      accuracy: canvasIn(accuracyCell),
+      mastery: canvasIn(masteryCell),
+      time: canvasIn(cell('Average time per question (s)')),
+      weakest: cell('')
+    };
+    this.add.dom(GAME_WIDTH / 2, 70, container).setOrigin(0.5, 0);
+    const draw = () => {
+      const byConcept = grouping.value === 'concept';
+      masteryCell.firstChild.textContent = `Mastery per ${byConcept ? 'syllabus concept' : 'topic'} (last ${ADAPTIVE_WINDOW} results, %)`;
+      cells.weakest.firstChild.textContent = byConcept ? 'Weakest concepts' : 'Weakest topics';
+      this.drawCharts(cells, filter.value === 'all' ? SessionHistory : SessionHistory.filter(s => s.mode === filter.value), byConcept ? syllabusConcept : undefined);
+    };
+    filter.addEventListener('change', draw);
+    grouping.addEventListener('change', draw);
+    draw();
+  }
+  destroyCharts() {
+    (this.charts || []).forEach(chart => chart.destroy());
+    this.charts = [];
+  }
+  // group, when given, rolls topics up as in topicMastery.
+  drawCharts(cells, sessions, group) {
+    this.destroyCharts();
+    const played = sessions.filter(s => s.results.length > 0);
+    const labels = played.map((s, idx) => s.at ? new Date(s.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : `#${idx + 1}`);
+    const modes = Object.keys(MODE_LABELS).filter(mode => played.some(s => s.mode === mode));
+    const colour = mode => CASE_CHART_COLOURS[Object.keys(MODE_LABELS).indexOf(mode) % CASE_CHART_COLOURS.length];
+    const options = { responsive: true, maintainAspectRatio: false, animation: false };
+    // One line per mode, with a point for each of its sessions
+    const perMode = value => modes.map(mode => ({
+      label: MODE_LABELS[mode],
+      data: played.map(s => s.mode === mode ? value(s) : null),
+      borderColor: colour(mode),
+      backgroundColor: colour(mode),
+      spanGaps: true
+    }));
+    this.charts.push(new Chart(cells.accuracy.getContext('2d'), {
+      type: 'line',
+      data: { labels: labels, datasets: perMode(s => Math.round(averageScore(s.results) * 100)) },
+      options: Object.assign({ scales: { y: { min: 0, max: 100 } } }, options)
+    }));
+    // Sessions migrated from the old progress key have no times
+    const timed = s => s.results.filter(r => r.time > 0);
+    this.charts.push(new Chart(cells.time.getContext('2d'), {
+      type: 'line',
+      data: { labels: labels, datasets: perMode(s => timed(s).length > 0 ? roundTo(timed(s).reduce((sum, r) => sum + r.time, 0) / timed(s).length / 1000, 1) : null) },
+      options: Object.assign({ scales: { y: { min: 0 } } }, options)
+    }));
+    // Topics from weakest to strongest, each merging its results from all
+    // modes
+    const topics = topicMastery(played, group);
+    const ranked = Object.keys(topics).sort((a, b) => topics[a].mastery - topics[b].mastery);
+    // One bar per topic; the cell scrolls when there are many
+    cells.mastery.parentNode.style.height = Math.max(180, ranked.length * 18) + 'px';
+    this.charts.push(new Chart(cells.mastery.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: ranked,
+        datasets: [{
+          label: 'Mastery',
+          data: ranked.map(t => Math.round(topics[t].mastery * 100)),
+          backgroundColor: ranked.map(t => topics[t].mastery < ADAPTIVE_DEMOTE ? '#d32f2f' : topics[t].mastery < ADAPTIVE_PROMOTE ? '#f57c00' : '#388e3c')
+        }]
+      },
+      options: Object.assign({ indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { min: 0, max: 100 } } }, options)
+    }));
+    // Weakest topics as a list
+    const list = cells.weakest.querySelector('ul') || cells.weakest.appendChild(document.createElement('ul'));
+    list.innerHTML = '';
+    ranked.slice(0, DASHBOARD_WEAKEST).forEach(t => {
+      const item = document.createElement('li');
+      const entry = topics[t];
+      item.textContent = `${t} – ${Math.round(entry.mastery * 100)}% (${entry.attempts} answered; ${entry.modes.map(m => MODE_LABELS[m]).join(', ')})`;
+      list.appendChild(item);
+    });
+    if (ranked.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No topics recorded yet.';
+      list.appendChild(item);
+    }
+  }
+}
+
 // Configuration for the Phaser game. We enable the DOM plugin to
 // integrate HTML elements seamlessly. The parent div is 'game-container'.
 const config = {
@@ -995,7 +5094,7 @@ const config = {
   dom: {
     createContainer: true
   },
-  scene: [BootScene, MenuScene, DiagramScene, CalculationScene, EssayScene, CaseStudyScene, FlashcardScene, SummaryScene],
+  scene: [BootScene, MenuScene, DiagramScene, CalculationScene, EssayScene, CaseStudyScene, FlashcardScene, SummaryScene, DashboardScene],
   backgroundColor: '#f0f3f8'
 };
 